@@ -64,6 +64,11 @@ module.exports = {
 			user: { name: 'Server User', isLoggedIn: true }
 		},
 
+		// initialState is checked against the schemas declared in source/app.js at startup
+		validation: {
+			assertInitialState: true
+		},
+
 		// Components configuration
 		components: {
 			// Auto-load components from these directories
@@ -83,7 +88,9 @@ module.exports = {
 				Router: {
 					autoInit: true,
 					options: {
-						preserveOnRoute: ['user']
+						preserveOnRoute: ['user'],
+						// Paths outside these patterns get status 404
+						routes: ['/', '/about', '/todos', '/user/:id']
 					}
 				}
 			}
@@ -92,6 +99,9 @@ module.exports = {
 
 	// Static Files Configuration
 	static: {
+		// Serve .br/.gz siblings (see htmlCache.generation.precompress) based on Accept-Encoding
+		preCompressed: true,
+
 		// Public directory settings
 		public: {
 			root: 'public',
@@ -162,9 +172,17 @@ module.exports = {
 			'/user/:id': {
 				title: 'User Profile - Juris App',
 				meta: []
+				// Page data loader, awaited before SSR and re-run on client navigation.
+				// Returns state paths to write, e.g.:
+				// load: async ({ params, query, request, api }) => ({
+				//   'user.profile': await api.userProfile({ id: params.id })
+				// })
 			}
 		},
 
+		// JSON endpoint the client router calls to re-run page loaders on navigation
+		dataEndpoint: '/_juris/data',
+
 		// Files/patterns to exclude from SSR
 		exclude: {
 			patterns: [
@@ -175,6 +193,31 @@ module.exports = {
 		}
 	},
 
+	// SSR Page Cache Configuration
+	// In-process LRU cache of rendered pages. Per-route settings live in
+	// routes.pages[pattern].cache: { ttl, staleWhileRevalidate, vary, tags } or false.
+	ssrCache: {
+		enabled: false,
+		maxEntries: 500,
+
+		// Milliseconds a page is served fresh, then served stale while it re-renders
+		ttl: 60000,
+		staleWhileRevalidate: 0,
+
+		// Request inputs that produce different HTML for the same URL
+		vary: {
+			cookies: [],
+			headers: [],
+			locale: false
+		},
+
+		// POST { route?, tag? } or { all: true } with "Authorization: Bearer <token>" to purge
+		purge: {
+			path: '/_juris/cache/purge',
+			token: process.env.JURIS_CACHE_PURGE_TOKEN || null
+		}
+	},
+
 	// Build Configuration
 	build: {
 		// Output directory for built files
@@ -314,7 +357,7 @@ module.exports = {
 			// Modify app state before rendering
 		},
 
-		// Called after SSR render
+		// Called after SSR render (not for streamed responses, see features.experimental.streamingSSR)
 		afterRender: async (html, state, route, config) => {
 			// Modify HTML or state after rendering
 			return { html, state };
@@ -334,7 +377,9 @@ module.exports = {
 
 		// Experimental features
 		experimental: {
-			// streamingSSR: false,
+			// Stream SSR responses: shell first, async subtrees as they resolve.
+			// Streamed pages skip the page cache and the afterRender hook.
+			streamingSSR: false,
 			// edgeRendering: false
 		}
 	},
@@ -4,15 +4,25 @@ module.exports = {
 		generation: {
 			enabled: true,
 			outputDir: 'cache/static',           // Where to cache static files
-			routes: ['/', '/about', '/contact'], // Routes eligible for static generation
+			routes: ['/', '/about', '/contact'], // Routes eligible for static generation (':param' routes need paths())
 			ttl: 5 * 60 * 1000,                 // 5 minutes - how long static files are fresh
 			minifyHTML: true,
 			copyAssets: true,                    // Copy public assets to output
 			cleanOutput: true,                   // Clean output dir before generation
+			incremental: false,                  // Only write pages whose content hash changed since the last build manifest
 			parallel: false,                     // Generate routes in parallel
 			maxConcurrent: 3,                    // Max concurrent generations
 			generateSitemap: true,               // Generate sitemap.xml
 			generateRobots: true,                // Generate robots.txt
+			precompress: false,                  // Write .gz/.br siblings for HTML, JS, CSS and XML (or { gzip, brotli, extensions })
+			crawl: {
+				enabled: false,                  // Follow internal links from the seed routes instead of generating a fixed list
+				// seeds: ['/'],                 // Defaults to the routes above
+				include: [],                     // RegExp or path prefixes; empty includes everything
+				exclude: [],                     // RegExp or path prefixes to skip
+				maxDepth: 5,                     // Link hops from a seed
+				maxPages: 1000                   // Stop enqueueing after this many routes
+			},
 			onDemand: {
 				enabled: true,                   // Enable on-demand generation
 				maxFileAge: 300000,             // 5 minutes in milliseconds
@@ -25,6 +35,11 @@ module.exports = {
 				'/': { title: 'Home Page' },
 				'/about': { title: 'About Us' },
 				'/contact': { title: 'Contact Us' }
+				// Parameterized routes enumerate their params for generation, e.g.:
+				// '/user/:id': {
+				//   title: 'User Profile',
+				//   paths: async ({ services }) => (await services.users.findAll()).map(user => ({ id: user.id }))
+				// }
 			}
 		}
 	},
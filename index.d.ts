@@ -1,7 +1,7 @@
 // index.d.ts - TypeScript definitions for Juris Kit
 
 declare module '@jurisjs/juris-kit' {
-  import { FastifyInstance, FastifyServerOptions } from 'fastify';
+  import { FastifyInstance, FastifyRequest, FastifyServerOptions } from 'fastify';
 
   // Configuration interfaces
   export interface JurisConfig {
@@ -9,6 +9,7 @@ declare module '@jurisjs/juris-kit' {
     app?: AppConfig;
     static?: StaticConfig;
     routes?: RoutesConfig;
+    ssrCache?: SSRCacheConfig;
     build?: BuildConfig;
     development?: DevelopmentConfig;
     production?: ProductionConfig;
@@ -39,6 +40,19 @@ declare module '@jurisjs/juris-kit' {
     meta?: MetaConfig;
     initialState?: Record<string, any>;
     components?: ComponentsConfig;
+    pool?: AppPoolConfig;
+    hydration?: HydrationConfig;
+    validation?: { assertInitialState?: boolean };
+  }
+
+  export interface HydrationConfig {
+    markers?: boolean;
+  }
+
+  export interface AppPoolConfig {
+    enabled?: boolean;
+    size?: number;
+    warm?: number;
   }
 
   export interface MetaConfig {
@@ -79,6 +93,7 @@ declare module '@jurisjs/juris-kit' {
     catchAll?: boolean;
     custom?: CustomRoute[];
     pages?: Record<string, PageConfig>;
+    dataEndpoint?: string;
     exclude?: {
       patterns: RegExp[];
     };
@@ -94,8 +109,55 @@ declare module '@jurisjs/juris-kit' {
   export interface PageConfig {
     title?: string;
     meta?: Array<{ name?: string; property?: string; content: string }>;
+    load?: RouteLoader;
+    cache?: PageCacheConfig | false;
+    /** Enumerates params (or URLs) for a ':param' route during static generation */
+    paths?: (context: { services: Record<string, any>; config: JurisConfig }) => Promise<Array<Record<string, string | number> | string>> | Array<Record<string, string | number> | string>;
+  }
+
+  export interface CacheVaryConfig {
+    cookies?: string[];
+    headers?: string[];
+    locale?: boolean;
+  }
+
+  export interface SSRCacheConfig {
+    enabled?: boolean;
+    maxEntries?: number;
+    ttl?: number;
+    staleWhileRevalidate?: number;
+    vary?: CacheVaryConfig;
+    purge?: {
+      path?: string;
+      token?: string | null;
+    };
+  }
+
+  export interface PageCacheConfig {
+    enabled?: boolean;
+    ttl?: number;
+    staleWhileRevalidate?: number;
+    vary?: CacheVaryConfig;
+    tags?: string[] | ((context: { params: Record<string, string>; query: Record<string, string> }) => string[]);
+  }
+
+  export interface JurisPageCache {
+    enabled: boolean;
+    invalidate(options?: { route?: string; tag?: string }): number;
+    clear(): number;
+    getStats(): { enabled: boolean; size: number; maxEntries: number; hits: number; stale: number; misses: number; evictions: number };
   }
 
+  export interface RouteLoaderContext {
+    params: Record<string, string>;
+    query: Record<string, string>;
+    request: FastifyRequest | null;
+    api: any;
+  }
+
+  /** Returns state paths to write before render, e.g. { 'user.profile': profile } */
+  export type RouteLoader = (context: RouteLoaderContext) => Promise<Record<string, any> | null | void> | Record<string, any> | null | void;
+
   export interface BuildConfig {
     outputDir?: string;
     stitcher?: {
@@ -189,32 +251,305 @@ declare module '@jurisjs/juris-kit' {
     config: JurisConfig;
     fastify: FastifyInstance | null;
     app: JurisApp | null;
+    cache: JurisPageCache;
     
     start(): Promise<void>;
+    renderPage(url: string, request?: FastifyRequest | null): Promise<string>;
+    expandStaticRoutes(routes?: string[]): Promise<string[]>;
+    createAppInstance(): Promise<AppInstance>;
+    acquireAppInstance(): Promise<AppInstance>;
+    releaseAppInstance(instance: AppInstance): void;
+    withAppInstance<T>(fn: (instance: AppInstance) => Promise<T> | T): Promise<T>;
+    runRouteLoader(app: JurisApp, url: string, request?: FastifyRequest | null): Promise<Record<string, any> | null>;
     stop(): Promise<void>;
     reload(): Promise<void>;
   }
 
+  export interface RenderErrorInfo {
+    component?: string;
+    phase?: 'render' | 'async' | 'reactive' | 'fallback';
+    /** The element whose render failed, when known (client only) */
+    element?: Element;
+    /** Whether an ErrorBoundary caught the error */
+    handled?: boolean;
+  }
+
+  /** Props of the built-in `ErrorBoundary` component */
+  export interface ErrorBoundaryProps {
+    children?: any;
+    /** Rendered in place of the children once anything below throws; retry() renders the children again */
+    fallback?: any | ((args: { error: Error; retry: () => void }) => any);
+    onError?: (error: Error, info: RenderErrorInfo) => void;
+    className?: string;
+  }
+
+  /** Props of the built-in `Suspense` component */
+  export interface SuspenseProps {
+    children?: any;
+    /** Shown once for the whole subtree until every pending promise in it settles */
+    fallback?: any | (() => any);
+    /** Milliseconds before the content is shown anyway, default 10000 */
+    timeout?: number;
+    className?: string;
+  }
+
+  /** Passed to a transaction: writes through it join the transaction even after an await */
+  export interface TransactionScope {
+    getState<T = any>(path: string, defaultValue?: T, track?: boolean): T;
+    setState(path: string, value: any, context?: Record<string, any>): void;
+    transaction<T>(fn: (tx: TransactionScope) => T): T;
+  }
+
   export class Juris {
+    /** Return from a middleware to drop the write */
+    static readonly REJECT: unique symbol;
+    /** RFC 6902 operations that turn a into b */
+    static diff(a: any, b: any): JsonPatchOperation[];
+    static readonly ErrorBoundary: JurisComponent;
+    static readonly Suspense: JurisComponent;
     constructor(config: JurisAppConfig);
     render(selector: string): void;
+    hydrate(selector?: string, options?: { warnings?: boolean }): void;
     setState(path: string, value: any): void;
     getState(path?: string): any;
+    /**
+     * Paths may contain '*' (one segment) and '**' (any depth), e.g. 'todos.*.done';
+     * pattern callbacks also receive the concrete path and the captured segments.
+     */
+    subscribe(path: string, callback: StateSubscriber, hierarchical?: boolean): () => void;
+    subscribeExact(path: string, callback: StateSubscriber): () => void;
     getComponent(name: string): JurisComponent;
     getHeadlessComponent(name: string): { api: any };
+    history: StateHistory | null;
+    enableHistory(options?: HistoryOptions): StateHistory;
+    disableHistory(): void;
+    /**
+     * Run fn's setState calls atomically: subscribers are notified once per changed path
+     * after fn returns (or its promise resolves); if it throws or rejects, state is rolled back.
+     * After an await, only writes made through the scope belong to the transaction.
+     */
+    transaction<T>(fn: (tx: TransactionScope) => T): T;
+    /**
+     * Declare a derived path. fn is evaluated lazily on first read, memoized, and re-evaluated
+     * only when a path it read changes. Returns a function that removes the computed path.
+     */
+    defineComputed(path: string, fn: ComputedFn): () => void;
+    /** Set in the browser unless the app was created with devtools: false */
+    devtools: { hook: DevtoolsHook; appId: number } | null;
+    validator: StateValidator | null;
+    enableValidation(options?: ValidationOptions): StateValidator;
+    /** Register a schema for path; returns a function that removes it */
+    defineSchema(path: string, schema: StateSchema): () => void;
+    stateSync: StateSync | null;
+    /** Keep the given paths consistent across browser tabs; remote writes carry context.remote */
+    enableSync(options: SyncOptions): StateSync;
+    disableSync(): void;
+    /** Receive RFC 6902 operations for every committed change; transactions deliver theirs on commit */
+    onPatch(callback: (ops: JsonPatchOperation[], meta: { path?: string; context?: Record<string, any>; transaction?: boolean; reset?: boolean }) => void): () => void;
+    /** Apply operations atomically; writes carry context.patch */
+    applyPatch(ops: JsonPatchOperation[], context?: Record<string, any>): void;
+    /** Deep copy of the current state */
+    getSnapshot(): Record<string, any>;
+    /**
+     * Handle on* props with one listener per event type on the render root.
+     * focus/blur and mouseenter/mouseleave are served through focusin/focusout and mouseover/mouseout.
+     */
+    setEventDelegation(enabled: boolean): void;
+    /** Receive every render error, whether an ErrorBoundary caught it or not */
+    onError(handler: (error: Error, info: RenderErrorInfo) => void): () => void;
+    persistence: StatePersistence | null;
+    /** Rehydrate the given paths from storage now and write them back (debounced) on change */
+    persist(options: PersistOptions): StatePersistence;
+  }
+
+  export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | 'any';
+
+  export interface StateSchema {
+    type?: SchemaType | SchemaType[];
+    nullable?: boolean;
+    /** true: the value itself must be present; string[]: required object keys */
+    required?: boolean | string[];
+    properties?: Record<string, StateSchema>;
+    items?: StateSchema;
+    enum?: any[];
+    /** Bounds on the number, string length or array length */
+    min?: number;
+    max?: number;
+    pattern?: string | RegExp;
+    validate?: (value: any) => true | string | false | void;
+  }
+
+  export interface SchemaViolation {
+    path: string;
+    reason: string;
+    value?: any;
+  }
+
+  export interface ValidationOptions {
+    schemas?: Record<string, StateSchema>;
+    /** 'reject' drops invalid writes, 'coerce' converts first, 'warn' only reports (default 'reject') */
+    mode?: 'reject' | 'coerce' | 'warn';
+    /** Log violations to the console (default: outside production) */
+    report?: boolean;
+    onViolation?: (violations: SchemaViolation[]) => void;
+  }
+
+  export interface StateValidator {
+    define(path: string, schema: StateSchema): () => void;
+    check(path: string, value: any): { value: any; violations: SchemaViolation[] };
+    /** Throws an Error with a violations array when state breaks any schema */
+    assert(state: Record<string, any>): true;
+  }
+
+  export type JsonPatchOperation =
+    | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'move' | 'copy'; from: string; path: string };
+
+  export type DevtoolsEvent = 'app:init' | 'app:destroy' | 'state:change' | 'component:mount' | 'component:unmount' | 'headless:status' | 'render';
+
+  /** window.__JURIS_DEVTOOLS_HOOK__; every payload carries appId and timestamp */
+  export interface DevtoolsHook {
+    apps: Map<number, Juris>;
+    /** '*' receives every event */
+    on(event: DevtoolsEvent | '*', callback: (payload: Record<string, any>, event: DevtoolsEvent) => void): () => void;
+    emit(event: DevtoolsEvent, payload: Record<string, any>): void;
+    listenerCount(): number;
+    register(juris: Juris): number;
+    /** Called by destroy(); emits app:destroy */
+    unregister?(appId: number): void;
+    inspect(appId?: number): {
+      appId: number;
+      state: Record<string, any>;
+      components: Array<{ id: string; name: string; element: Element }>;
+      headless: { registered: string[]; initialized: string[]; queued: string[]; apis: string[] };
+      subscriptions: { internal: number; external: number; patterns: number; paths: number };
+    } | null;
+  }
+
+  export interface SyncOptions {
+    paths: string[];
+    /** BroadcastChannel name, also the localStorage key for the storage-event fallback (default 'juris-sync') */
+    channel?: string;
+  }
+
+  export interface StateSync {
+    tabId: string;
+    destroy(): void;
+  }
+
+  /** Web Storage compatible adapter */
+  export interface StorageAdapter {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+  }
+
+  export interface PersistOptions {
+    paths: string[];
+    /** 'file' is Node only and stores every key in one JSON file (default 'localStorage') */
+    storage?: 'localStorage' | 'sessionStorage' | 'file' | 'memory' | StorageAdapter;
+    /** Storage key (default 'juris-state') */
+    key?: string;
+    /** JSON file used by the 'file' storage (default '.juris/state.json') */
+    file?: string;
+    /** Schema version; persisted state from another version is migrated, or discarded without migrate */
+    version?: number;
+    migrate?: (state: Record<string, any>, fromVersion: number, toVersion: number) => Record<string, any>;
+    /** Write delay after the last change, in ms (default 100) */
+    debounce?: number;
+    /** Which side wins when persisted state and server hydration data both have a path (default 'storage') */
+    precedence?: 'storage' | 'hydration' | ((path: string, storedValue: any, hydrationValue: any) => any);
+    /** Defaults to window.__hydration_data */
+    hydrationData?: Record<string, any> | null;
+  }
+
+  export interface StatePersistence {
+    rehydrate(): void;
+    flush(): void;
+    clear(): void;
+    destroy(): void;
+  }
+
+  export type StateSubscriber = (newValue: any, oldValue: any, path: string, captures?: string[]) => void;
+
+  export type ComputedFn = (getState: (path: string, defaultValue?: any, track?: boolean) => any) => any;
+
+  export interface HistoryOptions {
+    /** Maximum undoable steps kept; oldest are dropped first (default 100) */
+    limit?: number;
+    /** Only record these paths (and their children) */
+    include?: Array<string | RegExp>;
+    /** Never record these paths (and their children) */
+    exclude?: Array<string | RegExp>;
+    /** State path that mirrors getStatus() for reactive undo/redo controls */
+    statePath?: string;
+  }
+
+  export interface HistoryChange {
+    path: string;
+    oldValue: any;
+    newValue: any;
+    context: Record<string, any>;
+    timestamp: number;
+  }
+
+  export interface HistoryStatus {
+    index: number;
+    length: number;
+    canUndo: boolean;
+    canRedo: boolean;
+  }
+
+  export interface StateHistory {
+    undo(): boolean;
+    redo(): boolean;
+    jumpTo(index: number): number;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    group<T>(fn: () => T): T;
+    group<T>(label: string, fn: () => T): T;
+    startGroup(label?: string): void;
+    endGroup(): void;
+    clear(): void;
+    getEntries(): Array<{ label: string | null; changes: HistoryChange[]; timestamp: number; applied: boolean }>;
+    getStatus(): HistoryStatus;
+    subscribe(callback: (status: HistoryStatus) => void): () => void;
   }
 
   export interface JurisApp extends Juris {
     stateManager: {
       state: Record<string, any>;
       reset(paths: string[]): void;
+      /** Mark every computed path dirty, e.g. after replacing state wholesale */
+      resetComputed(): void;
     };
   }
 
+  export interface AppInstance {
+    app: JurisApp;
+    stringRenderer: any;
+    router: any;
+  }
+
   export interface JurisAppConfig {
     states?: Record<string, any>;
     headlessComponents?: Record<string, HeadlessComponentDefinition>;
     components?: Record<string, JurisComponent>;
+    history?: boolean | HistoryOptions;
+    /** Derived paths, keyed by state path */
+    computed?: Record<string, ComputedFn>;
+    persist?: PersistOptions;
+    /** State schemas keyed by path, enforced by the validation middleware */
+    schemas?: Record<string, StateSchema>;
+    validation?: Omit<ValidationOptions, 'schemas'>;
+    sync?: SyncOptions;
+    /** false keeps this app off window.__JURIS_DEVTOOLS_HOOK__ */
+    devtools?: boolean;
+    /** See Juris.setEventDelegation */
+    eventDelegation?: boolean;
+    /** See Juris.onError */
+    onError?: (error: Error, info: RenderErrorInfo) => void;
     layout?: any;
   }
 
@@ -223,6 +558,25 @@ declare module '@jurisjs/juris-kit' {
     options?: Record<string, any>;
   }
 
+  /** API of the `Head` headless component; entries are de-duplicated by key */
+  export interface HeadAPI {
+    title(text: string): void;
+    meta(attrs: Record<string, string>, key?: string): void;
+    link(attrs: Record<string, string>, key?: string): void;
+    canonical(href: string): void;
+    jsonLd(data: any, key?: string): void;
+    set(head: {
+      title?: string;
+      meta?: Array<Record<string, string>>;
+      link?: Array<Record<string, string>>;
+      canonical?: string;
+      jsonLd?: any;
+    }): void;
+    getTitle(): string | null;
+    renderToString(options?: { title?: boolean }): string;
+    apply(): void;
+  }
+
   export interface JurisComponent {
     state?: string[];
     render(): any;
@@ -0,0 +1,182 @@
+// In-process LRU cache for rendered SSR pages
+class JurisPageCache {
+	constructor(config = {}) {
+		this.config = {
+			enabled: false,
+			maxEntries: 500,
+			ttl: 60000,
+			staleWhileRevalidate: 0,
+			vary: {},
+			...config
+		};
+		this.enabled = this.config.enabled === true;
+		// Map iteration order doubles as recency order: oldest entry first
+		this.entries = new Map();
+		this.revalidating = new Map();
+		this.stats = { hits: 0, stale: 0, misses: 0, evictions: 0 };
+	}
+
+	// Cache key: URL plus the configured vary inputs (cookies, headers, locale)
+	buildKey(url, request = null, vary = this.config.vary) {
+		const parts = [url];
+		if (!request || !vary) {
+			return parts.join('|');
+		}
+
+		if (vary.cookies?.length) {
+			const cookies = this.parseCookies(request.headers.cookie);
+			vary.cookies.forEach(name => parts.push(`c:${name}=${cookies[name] ?? ''}`));
+		}
+
+		if (vary.headers?.length) {
+			vary.headers.forEach(name => parts.push(`h:${name}=${request.headers[name.toLowerCase()] ?? ''}`));
+		}
+
+		if (vary.locale) {
+			const locale = (request.headers['accept-language'] || '').split(',')[0].split(';')[0].trim().toLowerCase();
+			parts.push(`l:${locale}`);
+		}
+
+		return parts.join('|');
+	}
+
+	// Request headers the vary inputs read, for the response's Vary header
+	varyHeaders(vary = this.config.vary) {
+		if (!vary) {
+			return [];
+		}
+
+		const headers = [...(vary.headers || [])];
+		if (vary.cookies?.length) {
+			headers.push('Cookie');
+		}
+		if (vary.locale) {
+			headers.push('Accept-Language');
+		}
+		return headers;
+	}
+
+	parseCookies(header = '') {
+		const cookies = {};
+		header.split(';').forEach(pair => {
+			const index = pair.indexOf('=');
+			if (index > 0) {
+				const value = pair.slice(index + 1).trim();
+				// A malformed escape keeps the raw value instead of failing the request
+				try {
+					cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+				} catch (error) {
+					cookies[pair.slice(0, index).trim()] = value;
+				}
+			}
+		});
+		return cookies;
+	}
+
+	// Returns { html, stale } for a fresh or revalidatable entry, null otherwise
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			this.stats.misses++;
+			return null;
+		}
+
+		const age = Date.now() - entry.createdAt;
+		if (age > entry.ttl + entry.staleWhileRevalidate) {
+			this.entries.delete(key);
+			this.stats.misses++;
+			return null;
+		}
+
+		// Touch for LRU ordering
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		const stale = age > entry.ttl;
+		if (stale) {
+			this.stats.stale++;
+		} else {
+			this.stats.hits++;
+		}
+		return { html: entry.html, stale, entry };
+	}
+
+	set(key, html, options = {}) {
+		this.entries.delete(key);
+		this.entries.set(key, {
+			html,
+			path: options.path || key.split('|')[0].split('?')[0],
+			pattern: options.pattern || null,
+			tags: options.tags || [],
+			ttl: options.ttl ?? this.config.ttl,
+			staleWhileRevalidate: options.staleWhileRevalidate ?? this.config.staleWhileRevalidate,
+			createdAt: Date.now()
+		});
+
+		while (this.entries.size > this.config.maxEntries) {
+			this.entries.delete(this.entries.keys().next().value);
+			this.stats.evictions++;
+		}
+	}
+
+	// Re-render a stale entry in the background; concurrent requests share one render
+	revalidate(key, render, options = {}) {
+		if (this.revalidating.has(key)) {
+			return this.revalidating.get(key);
+		}
+
+		const pending = Promise.resolve()
+			.then(render)
+			.then(html => {
+				this.set(key, html, options);
+				return html;
+			})
+			.catch(error => {
+				console.error(`Page cache revalidation failed for ${key}:`, error.message);
+				return null;
+			})
+			.finally(() => this.revalidating.delete(key));
+
+		this.revalidating.set(key, pending);
+		return pending;
+	}
+
+	/**
+	 * Drop cached pages. `route` matches a path ('/user/7') or a routes.pages pattern ('/user/:id'),
+	 * `tag` matches entries rendered with that tag. With neither, everything is dropped.
+	 */
+	invalidate({ route = null, tag = null } = {}) {
+		if (!route && !tag) {
+			const count = this.entries.size;
+			this.entries.clear();
+			return count;
+		}
+
+		let count = 0;
+		for (const [key, entry] of this.entries) {
+			const routeMatches = route && (entry.path === route || entry.pattern === route);
+			const tagMatches = tag && entry.tags.includes(tag);
+			if (routeMatches || tagMatches) {
+				this.entries.delete(key);
+				count++;
+			}
+		}
+		return count;
+	}
+
+	clear() {
+		return this.invalidate();
+	}
+
+	getStats() {
+		return {
+			enabled: this.enabled,
+			size: this.entries.size,
+			maxEntries: this.config.maxEntries,
+			...this.stats
+		};
+	}
+}
+
+// Export the JurisPageCache class
+module.exports = JurisPageCache;
@@ -2,6 +2,7 @@
 const path = require('path');
 const fs = require('fs');
 const JurisAPI = require('./juris-api'); // Import JurisAPI class
+const JurisPageCache = require('./juris-page-cache');
 
 class JurisServer {
 	constructor(configPath = null) {
@@ -13,6 +14,10 @@ class JurisServer {
 		this.isInitialized = false;
 		this.stringRenderer = null;
 		this.router = null;
+		this.createApp = null;
+		this.appPool = [];
+		this.cache = new JurisPageCache(this.config.ssrCache);
+		this.staticRouteCache = null;
 	}
 
 	// Find configuration file in standard locations
@@ -105,9 +110,22 @@ class JurisServer {
 				title: 'Juris SSR App',
 				initialState: {},
 				cssPath: '/public/css/styles.css',
-				jsPath: '/public/js/juris-app.js'
+				jsPath: '/public/js/juris-app.js',
+				// Request-scoped app instances recycled between SSR requests
+				pool: {
+					enabled: true,
+					size: 10, // Max idle instances kept for reuse
+					warm: 2 // Instances created up front
+				},
+				hydration: {
+					markers: true // Emit component markers so the client can hydrate in place
+				},
+				validation: {
+					assertInitialState: true // Refuse to start when initialState violates the app's schemas
+				}
 			},
 			static: {
+				preCompressed: true,
 				public: {
 					root: 'public',
 					prefix: '/public/',
@@ -120,6 +138,22 @@ class JurisServer {
 				},
 				directories: []
 			},
+			// In-process LRU cache of rendered SSR pages
+			ssrCache: {
+				enabled: false,
+				maxEntries: 500,
+				ttl: 60000, // ms a page is served fresh
+				staleWhileRevalidate: 0, // ms a stale page is still served while it re-renders
+				vary: {
+					cookies: [],
+					headers: [],
+					locale: false
+				},
+				purge: {
+					path: '/_juris/cache/purge',
+					token: process.env.JURIS_CACHE_PURGE_TOKEN || null
+				}
+			},
 			// UPDATED: Use htmlCache instead of static.generation
 			htmlCache: {
 				generation: {
@@ -139,6 +173,7 @@ class JurisServer {
 				catchAll: true,
 				custom: [],
 				pages: {},
+				dataEndpoint: '/_juris/data',
 				exclude: {
 					patterns: [
 						// Asset files
@@ -212,6 +247,17 @@ class JurisServer {
 
 		this.fastify = require('fastify')(fastifyConfig);
 
+		// Responses that are or could be encoded (precompressed files included) must vary on
+		// Accept-Encoding, alongside whatever Vary values other plugins set. Uncompressed ones too:
+		// otherwise a shared cache could hand the identity variant to clients that accept gzip or br.
+		this.fastify.addHook('onSend', async (request, reply, payload) => {
+			if (reply.getHeader('Content-Encoding') || this.isCompressibleResponse(reply)) {
+				// Lowercase, as the compress plugin only skips adding its own when it finds this spelling
+				this.addVaryHeader(reply, ['accept-encoding']);
+			}
+			return payload;
+		});
+
 		// Setup CORS for API
 		if (this.config.features.api && this.config.api.cors.enabled) {
 			await this.setupCORS();
@@ -257,6 +303,16 @@ class JurisServer {
 		if (this.config.features.api && this.api) {
 			await this.registerAPIRoutes();
 		}
+
+		// Authenticated purge endpoint for the SSR page cache
+		if (this.cache.enabled) {
+			this.setupCachePurgeEndpoint();
+		}
+
+		// Route data endpoint used by the client router on navigation
+		if (this.config.features.ssr && this.hasRouteLoaders()) {
+			this.setupRouteDataEndpoint();
+		}
 		// Setup SSR catch-all route LAST (so it doesn't capture API routes)
 		if (this.config.features.ssr && this.config.routes.catchAll) {
 			await this.setupSSRRoute();
@@ -359,6 +415,13 @@ class JurisServer {
 				...this.config.server.compression,
 				enabled: undefined
 			};
+
+			// Streamed SSR needs every chunk flushed through the compressor
+			if (this.config.features.experimental?.streamingSSR && !compressionOptions.zlibOptions) {
+				const zlib = require('zlib');
+				compressionOptions.zlibOptions = { flush: zlib.constants.Z_SYNC_FLUSH };
+				compressionOptions.brotliOptions = compressionOptions.brotliOptions || { flush: zlib.constants.BROTLI_OPERATION_FLUSH };
+			}
 			await this.fastify.register(require('@fastify/compress'), compressionOptions);
 		} catch (error) {
 			console.warn('Compression plugin not available. Install with: npm install @fastify/compress');
@@ -381,6 +444,8 @@ class JurisServer {
 					await this.fastify.register(fastifyStatic, {
 						root: publicPath,
 						prefix: this.config.static.public.prefix,
+						// Serve .br/.gz siblings written by the static generator when the client accepts them
+						preCompressed: this.config.static.preCompressed !== false,
 						...this.config.static.public.cache
 					});
 
@@ -398,6 +463,7 @@ class JurisServer {
 						root: dirPath,
 						prefix: dir.prefix,
 						decorateReply: false,
+						preCompressed: this.config.static.preCompressed !== false,
 						...(dir.cache || this.config.static.public.cache)
 					});
 				} else {
@@ -532,26 +598,27 @@ class JurisServer {
 				createApp = appModule.createApp;
 			}
 
-			// FIXED: Properly await app creation
-			this.app = await Promise.resolve(createApp(this.config.app.initialState));
+			this.createApp = createApp;
 
-			// FIXED: Ensure headless components are fully initialized
-			const stringRendererComponent = this.app.getHeadlessComponent('StringRenderer');
-			const swapComponent = this.app.getHeadlessComponent('SwapAttributeComponent');
-			if (!stringRendererComponent) {
-				throw new Error('StringRenderer headless component not found');
+			// Primary instance, used for introspection outside of requests
+			const { app, stringRenderer, router } = await this.createAppInstance();
+			// Fail fast when the configured initialState breaks the app's state schemas
+			if (app.validator && this.config.app.validation?.assertInitialState !== false) {
+				app.validator.assert(app.stateManager.state);
 			}
-
-			this.stringRenderer = stringRendererComponent.api;
-			this.stringRenderer.enableStringRenderer();
-			// Ensure SwapAttributeComponent is initialized
-			this.app.initializeHeadlessComponent('SwapAttributeComponent', {});
-			const routerComponent = this.app.getHeadlessComponent('Router');
-			if (!routerComponent) {
-				throw new Error('Router headless component not found');
+			this.app = app;
+			this.stringRenderer = stringRenderer;
+			this.router = router;
+
+			// Warm the request pool so the first requests don't pay for app creation
+			const poolConfig = this.config.app.pool || {};
+			if (poolConfig.enabled !== false) {
+				const warm = Math.min(poolConfig.warm || 0, poolConfig.size || 0);
+				for (let i = 0; i < warm; i++) {
+					this.appPool.push(await this.createAppInstance());
+				}
 			}
 
-			this.router = routerComponent.api;
 			console.log('✅ Juris app loaded successfully');
 		} catch (error) {
 			console.error('❌ Error loading Juris app:', error);
@@ -559,9 +626,331 @@ class JurisServer {
 		}
 	}
 
+	// Create an isolated app instance with its own StateManager, headless instances and StringRenderer
+	async createAppInstance() {
+		const initialState = this.cloneInitialState();
+		const app = await Promise.resolve(this.createApp(initialState));
+
+		// Ensure headless components are fully initialized
+		const stringRendererComponent = app.getHeadlessComponent('StringRenderer');
+		if (!stringRendererComponent) {
+			throw new Error('StringRenderer headless component not found');
+		}
+
+		const stringRenderer = stringRendererComponent.api;
+		stringRenderer.enableStringRenderer();
+		stringRenderer.setHydrationMarkers(this.config.app.hydration?.markers !== false);
+		// Ensure SwapAttributeComponent is initialized
+		app.initializeHeadlessComponent('SwapAttributeComponent', {});
+		const routerComponent = app.getHeadlessComponent('Router');
+		if (!routerComponent) {
+			throw new Error('Router headless component not found');
+		}
+
+		return { app, stringRenderer, router: routerComponent.api };
+	}
+
+	/**
+	 * Private copy of the configured initial state so instances never share nested objects.
+	 * Plain objects and arrays are copied; functions, class instances and other values
+	 * (which structured cloning would reject or flatten) are shared as they are.
+	 */
+	cloneInitialState(value = this.config.app.initialState || {}, seen = new Map()) {
+		if (value === null || typeof value !== 'object') {
+			return value;
+		}
+		if (seen.has(value)) {
+			return seen.get(value);
+		}
+
+		const prototype = Object.getPrototypeOf(value);
+		if (Array.isArray(value)) {
+			const copy = [];
+			seen.set(value, copy);
+			value.forEach(item => copy.push(this.cloneInitialState(item, seen)));
+			return copy;
+		}
+		if (prototype !== Object.prototype && prototype !== null) {
+			return value;
+		}
+
+		const copy = {};
+		seen.set(value, copy);
+		for (const [key, item] of Object.entries(value)) {
+			copy[key] = this.cloneInitialState(item, seen);
+		}
+		return copy;
+	}
+
+	// Take an instance from the pool (or create one) and reset it for a new render
+	async acquireAppInstance() {
+		const instance = this.appPool.pop() || await this.createAppInstance();
+		await this.resetAppForRequest(instance.app);
+		return instance;
+	}
+
+	// Return an instance to the pool, or destroy it when the pool is full or disabled.
+	// reusable = false destroys it regardless, e.g. when work may still be running against it.
+	releaseAppInstance(instance, reusable = true) {
+		const poolConfig = this.config.app.pool || {};
+		if (reusable && poolConfig.enabled !== false && this.appPool.length < (poolConfig.size || 0)) {
+			this.appPool.push(instance);
+			return;
+		}
+
+		try {
+			instance.app.destroy();
+		} catch (error) {
+			console.warn('Warning: Error destroying app instance:', error);
+		}
+	}
+
+	// Release an instance once the Suspense or streamed subtrees its last render gave up on have finished;
+	// they still write to its state, so if they don't finish in time it is destroyed instead
+	releaseAppInstanceWhenSettled(instance) {
+		return instance.stringRenderer.whenSettled().then(settled => this.releaseAppInstance(instance, settled));
+	}
+
+	// Run fn with a request-scoped app instance, recycling it afterwards.
+	// An instance fn failed on may hold half-applied state or side effects, so it is destroyed
+	async withAppInstance(fn) {
+		const instance = await this.acquireAppInstance();
+		let result;
+		try {
+			result = await fn(instance);
+		} catch (error) {
+			this.releaseAppInstance(instance, false);
+			throw error;
+		}
+		// Not awaited: the response doesn't wait for timed out subtrees
+		this.releaseAppInstanceWhenSettled(instance);
+		return result;
+	}
+
+	// Resolve the routes.pages entry for a URL, exact paths first, then ':param' patterns
+	matchPageRoute(url) {
+		const [pathAndQuery] = url.split('#');
+		const [pathname, queryString = ''] = pathAndQuery.split('?');
+		const query = Object.fromEntries(new URLSearchParams(queryString));
+		const pages = this.config.routes.pages || {};
+
+		if (pages[pathname]) {
+			return { pattern: pathname, page: pages[pathname], params: {}, query };
+		}
+
+		for (const [pattern, page] of Object.entries(pages)) {
+			const params = this.matchRoutePattern(pathname, pattern);
+			if (params) {
+				return { pattern, page, params, query };
+			}
+		}
+
+		return { pattern: null, page: {}, params: {}, query };
+	}
+
+	matchRoutePattern(pathname, pattern) {
+		const pathSegments = pathname.split('/').filter(Boolean);
+		const patternSegments = pattern.split('/').filter(Boolean);
+
+		if (pathSegments.length !== patternSegments.length) {
+			return null;
+		}
+
+		const params = {};
+		for (let i = 0; i < patternSegments.length; i++) {
+			if (patternSegments[i].startsWith(':')) {
+				// A malformed escape (e.g. '%E0%A4%A') matches nothing rather than failing the request
+				try {
+					params[patternSegments[i].slice(1)] = decodeURIComponent(pathSegments[i]);
+				} catch (error) {
+					return null;
+				}
+			} else if (patternSegments[i] !== pathSegments[i]) {
+				return null;
+			}
+		}
+
+		return params;
+	}
+
+	hasRouteLoaders() {
+		return Object.values(this.config.routes.pages || {}).some(page => typeof page.load === 'function');
+	}
+
+	/**
+	 * Run the page loader for a URL against a request-scoped app.
+	 * A loader returns an object of state paths to values, e.g. { 'user.profile': profile },
+	 * which is written into state before render and serialized with the hydration data.
+	 */
+	async runRouteLoader(app, url, request = null) {
+		if (!this.hasRouteLoaders()) {
+			return null;
+		}
+
+		// Tell the client router where to fetch data for loader routes on navigation
+		app.setState('_juris.loaders', {
+			endpoint: this.config.routes.dataEndpoint,
+			patterns: Object.keys(this.config.routes.pages).filter(pattern => typeof this.config.routes.pages[pattern].load === 'function')
+		});
+
+		const { page, params, query } = this.matchPageRoute(url);
+		if (typeof page.load !== 'function') {
+			return null;
+		}
+
+		const data = await Promise.resolve(page.load({
+			params,
+			query,
+			request,
+			api: app.headlessManager.getAPI('api')
+		}));
+
+		if (data && typeof data === 'object') {
+			for (const [statePath, value] of Object.entries(data)) {
+				app.setState(statePath, value);
+			}
+		}
+
+		return data || null;
+	}
+
+	// JSON endpoint that runs a page loader for client-side navigation
+	setupRouteDataEndpoint() {
+		this.fastify.get(this.config.routes.dataEndpoint, async (request, reply) => {
+			const url = request.query.path;
+			reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+			if (typeof url !== 'string' || !url.startsWith('/')) {
+				reply.code(400);
+				return { error: 'Missing or invalid path' };
+			}
+
+			const { pattern, page, params } = this.matchPageRoute(url);
+			if (typeof page.load !== 'function') {
+				return { pattern, params, data: null };
+			}
+
+			try {
+				const data = await this.withAppInstance(({ app }) => this.runRouteLoader(app, url, request));
+				return { pattern, params, data };
+			} catch (error) {
+				console.error(`Route loader error for ${url}:`, error);
+				reply.code(500);
+				return {
+					error: 'Route loader failed',
+					message: process.env.NODE_ENV !== 'production' ? error.message : undefined
+				};
+			}
+		});
+	}
+
+	// Render a full SSR document for a URL, including the afterRender hook.
+	// With a reply, the router's status for the route (e.g. 404) becomes the response status.
+	async renderPage(url, request = null, reply = null) {
+		const htmlTemplate = this.createHTMLTemplate();
+
+		// Each render uses its own app instance so overlapping renders can't share state
+		let { html, state } = await this.withAppInstance(async ({ app, router, stringRenderer }) => {
+			if (this.config.hooks?.beforeRender) {
+				await Promise.resolve(this.config.hooks.beforeRender(app, url, this.config));
+			}
+			await this.runRouteLoader(app, url, request);
+
+			router.setRoute(url);
+			reply?.code(this.getRouteStatus(router));
+			let content = stringRenderer.renderToString()
+			content = content?.then ? await content : content; // Ensure we await if it's a promise
+
+			const state = app.stateManager.state;
+			state.isHydration = true; // Set hydration flag
+			const pageConfig = this.matchPageRoute(url).page;
+			const title = pageConfig.title || this.config.app.title;
+
+			return { html: htmlTemplate(content, state, title, this.getDocumentHead(app)), state };
+		});
+
+		if (this.config.hooks?.afterRender) {
+			const result = await Promise.resolve(this.config.hooks.afterRender(html, state, url, this.config));
+			html = result.html || html;
+		}
+
+		return html;
+	}
+
+	/**
+	 * Page cache key, Vary header names and entry options for a request, or null when the page isn't cacheable.
+	 * routes.pages[pattern].cache can set ttl, staleWhileRevalidate, vary and tags
+	 * (an array or ({ params, query }) => array), or be false to opt the route out.
+	 */
+	getPageCacheEntry(url, request) {
+		if (!this.cache.enabled || request.method !== 'GET') {
+			return null;
+		}
+
+		const { pattern, page, params, query } = this.matchPageRoute(url);
+		const routeCache = page.cache ?? {};
+		if (routeCache === false || routeCache.enabled === false) {
+			return null;
+		}
+
+		const vary = { ...this.cache.config.vary, ...routeCache.vary };
+		const tags = typeof routeCache.tags === 'function' ? routeCache.tags({ params, query }) : routeCache.tags;
+
+		return {
+			key: this.cache.buildKey(url, request, vary),
+			vary: this.cache.varyHeaders(vary),
+			options: {
+				pattern,
+				tags: tags || [],
+				ttl: routeCache.ttl,
+				staleWhileRevalidate: routeCache.staleWhileRevalidate
+			}
+		};
+	}
+
+	// POST { route?, tag? } with the configured token to drop cached pages, or { all: true } to drop every page
+	setupCachePurgeEndpoint() {
+		const purgeConfig = this.config.ssrCache?.purge || {};
+		if (!purgeConfig.token) {
+			console.warn('⚠️  SSR cache purge endpoint disabled: set ssrCache.purge.token or JURIS_CACHE_PURGE_TOKEN');
+			return;
+		}
+
+		const crypto = require('crypto');
+		const expected = Buffer.from(String(purgeConfig.token));
+
+		this.fastify.post(purgeConfig.path || '/_juris/cache/purge', async (request, reply) => {
+			const header = request.headers.authorization || '';
+			const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+
+			if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+				reply.code(401);
+				return { error: 'Unauthorized' };
+			}
+
+			// A missing or mistyped body must not fall through to purging everything
+			const body = request.body && typeof request.body === 'object' ? request.body : {};
+			const route = typeof body.route === 'string' && body.route ? body.route : null;
+			const tag = typeof body.tag === 'string' && body.tag ? body.tag : null;
+			if (body.all === true) {
+				const purged = this.cache.clear();
+				console.log(`🧹 SSR cache purged all ${purged} page(s)`);
+				return { purged, stats: this.cache.getStats() };
+			}
+			if (!route && !tag) {
+				reply.code(400);
+				return { error: 'Expected a route, a tag or "all": true' };
+			}
+
+			const purged = this.cache.invalidate({ route, tag });
+			console.log(`🧹 SSR cache purged ${purged} page(s)${route ? ` for route ${route}` : ''}${tag ? ` for tag ${tag}` : ''}`);
+
+			return { purged, stats: this.cache.getStats() };
+		});
+	}
+
 	//Enhanced SSR route setup with proper async component support
 	async setupSSRRoute() {
-		const htmlTemplate = this.createHTMLTemplate();
 
 		const routeSchema = {
 			response: {
@@ -606,47 +995,39 @@ class JurisServer {
 					return staticResult.content;
 				}
 
-				// Continue with normal SSR if static generation wasn't used
-				this.resetAppForRequest();
-
-				if (this.config.hooks?.beforeRender) {
-					await Promise.resolve(this.config.hooks.beforeRender(this.app, url, this.config));
+				// In-process page cache, served ahead of any rendering
+				const cacheEntry = this.getPageCacheEntry(url, request);
+				if (cacheEntry) {
+					// Shared caches downstream must keep the same variants apart
+					this.addVaryHeader(reply, cacheEntry.vary);
+					const cached = this.cache.get(cacheEntry.key);
+					if (cached) {
+						if (cached.stale) {
+							this.cache.revalidate(cacheEntry.key, () => this.renderPage(url, request), cacheEntry.options);
+						}
+						this.setSSRHeaders(reply);
+						reply.header('X-Juris-Cache', cached.stale ? 'STALE' : 'HIT');
+						return cached.html;
+					}
 				}
 
-				this.router.setRoute(url);
-				let content = this.stringRenderer.renderToString()
-				content = content?.then ? await content : content; // Ensure we await if it's a promise
-
-				const state = this.app.stateManager.state;
-				state.isHydration = true; // Set hydration flag
-				const pageConfig = this.config.routes.pages?.[url] || {};
-				const title = pageConfig.title || this.config.app.title;
-
-				let finalHTML = htmlTemplate(content, state, title);
-
-				if (this.config.hooks?.afterRender) {
-					const result = await Promise.resolve(this.config.hooks.afterRender(finalHTML, state, url, this.config));
-					finalHTML = result.html || finalHTML;
+				// Streaming SSR: flush the shell now, async subtrees as they resolve.
+				// Streamed responses are not written to the page cache.
+				if (this.config.features.experimental?.streamingSSR) {
+					return this.streamSSRResponse(url, reply, request);
 				}
 
-				reply.type('text/html; charset=utf-8');
-
-				if (process.env.NODE_ENV === 'production') {
-					if (this.config.production?.performance?.cache?.ssrCacheDuration) {
-						reply.header('Cache-Control', `public, max-age=${this.config.production.performance.cache.ssrCacheDuration}`);
-					} else {
-						reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
-					}
+				// Continue with normal SSR if static generation wasn't used
+				const finalHTML = await this.renderPage(url, request, reply);
 
-					if (this.config.production?.security?.headers) {
-						for (const [header, value] of Object.entries(this.config.production.security.headers)) {
-							reply.header(header, value);
-						}
-					}
-				} else {
-					reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+				// Not-found pages aren't cached: a cache hit would serve them as 200
+				if (cacheEntry && reply.statusCode === 200) {
+					this.cache.set(cacheEntry.key, finalHTML, cacheEntry.options);
+					reply.header('X-Juris-Cache', 'MISS');
 				}
 
+				this.setSSRHeaders(reply);
+
 				return finalHTML;
 
 			} catch (error) {
@@ -673,6 +1054,112 @@ class JurisServer {
 		});
 	}
 
+	// Text-like responses the compress plugin may encode, depending on the request
+	isCompressibleResponse(reply) {
+		if (!this.config.features.compression || !this.config.server.compression?.enabled) {
+			return false;
+		}
+		const type = String(reply.getHeader('Content-Type') || '');
+		return /^(text\/|image\/svg\+xml|application\/(json|javascript|xml|[\w.-]+\+(json|xml)))/i.test(type);
+	}
+
+	// Append names to the response's Vary header, keeping values already set
+	addVaryHeader(reply, names) {
+		const current = String(reply.getHeader('Vary') || '');
+		const present = new Set(current.split(',').map(name => name.trim().toLowerCase()).filter(Boolean));
+		const missing = names.filter(name => !present.has(name.toLowerCase()));
+		if (missing.length > 0) {
+			reply.header('Vary', [current, ...missing].filter(Boolean).join(', '));
+		}
+	}
+
+	// Content type, caching and security headers for SSR responses
+	setSSRHeaders(reply) {
+		reply.type('text/html; charset=utf-8');
+
+		if (process.env.NODE_ENV === 'production') {
+			if (this.config.production?.performance?.cache?.ssrCacheDuration) {
+				reply.header('Cache-Control', `public, max-age=${this.config.production.performance.cache.ssrCacheDuration}`);
+			} else {
+				reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+			}
+
+			if (this.config.production?.security?.headers) {
+				for (const [header, value] of Object.entries(this.config.production.security.headers)) {
+					reply.header(header, value);
+				}
+			}
+		} else {
+			reply.header('Cache-Control', 'no-cache, no-store, must-revalidate');
+		}
+	}
+
+	/**
+	 * Stream an SSR response: document shell and synchronous markup first,
+	 * then each async subtree as a replace chunk, then hydration data.
+	 * Head entries contributed by async subtrees arrive too late for the shell.
+	 * The afterRender hook is not applied to streamed responses.
+	 * Subtrees that time out keep rendering against the app instance, so it goes back
+	 * to the pool only once they finish; if they don't, it is destroyed instead.
+	 */
+	async streamSSRResponse(url, reply, request = null) {
+		const { Readable } = require('stream');
+		const instance = await this.acquireAppInstance();
+		const { app, router, stringRenderer } = instance;
+
+		try {
+			if (this.config.hooks?.beforeRender) {
+				await Promise.resolve(this.config.hooks.beforeRender(app, url, this.config));
+			}
+			await this.runRouteLoader(app, url, request);
+			router.setRoute(url);
+			reply.code(this.getRouteStatus(router));
+		} catch (error) {
+			this.releaseAppInstance(instance, false);
+			throw error;
+		}
+
+		const pageConfig = this.matchPageRoute(url).page;
+		const title = pageConfig.title || this.config.app.title;
+		const server = this;
+
+		async function* documentStream() {
+			// Reusable only when the render ran to the end without errors (not e.g. cut short by a disconnect)
+			let completed = false;
+			let renderFailed = false;
+			try {
+				let isShell = true;
+				try {
+					for await (const chunk of stringRenderer.renderToStream()) {
+						// The document shell waits for the synchronous render so it carries the head entries
+						// contributed so far; later chunks swap themselves in from outside the app container
+						yield isShell ? `${server.createHTMLShell(title, server.getDocumentHead(app))}${chunk}</div>` : chunk;
+						isShell = false;
+					}
+				} catch (error) {
+					console.error('SSR Stream Error:', error);
+					renderFailed = true;
+					if (isShell) yield `${server.createHTMLShell(title)}</div>`;
+				}
+
+				const state = app.stateManager.state;
+				state.isHydration = true; // Set hydration flag
+				yield server.createHTMLClosing(state);
+				completed = !renderFailed;
+			} finally {
+				if (completed) {
+					// Not awaited: the response ends now, the instance is released when the stream settles
+					server.releaseAppInstanceWhenSettled(instance);
+				} else {
+					server.releaseAppInstance(instance, false);
+				}
+			}
+		}
+
+		this.setSSRHeaders(reply);
+		return reply.send(Readable.from(documentStream()));
+	}
+
 	/**
 	 * 🎯 UPDATED: Check and generate static files on-demand using htmlCache config
 	 */
@@ -683,8 +1170,7 @@ class JurisServer {
 		}
 
 		// Check if this route is in the static generation list
-		const staticRoutes = this.config.htmlCache.generation.routes || [];
-		if (!staticRoutes.includes(url)) {
+		if (!(await this.isStaticRoute(url))) {
 			return { served: false };
 		}
 
@@ -694,13 +1180,19 @@ class JurisServer {
 		// 📁 Check if static file already exists and is fresh
 		if (await this.isStaticFileFresh(staticFilePath, url)) {
 			console.log(`📄 Serving cached static file: ${url}`);
-			const staticContent = fs.readFileSync(staticFilePath, 'utf8');
 
 			reply.type('text/html; charset=utf-8');
 			reply.header('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
 			reply.header('X-Generated-By', 'Juris-HtmlCache');
 
-			return { served: true, content: staticContent };
+			// Serve a precompressed sibling when the client accepts it; the compress plugin skips encoded replies
+			const precompressed = this.pickPrecompressedFile(staticFilePath, request.headers['accept-encoding']);
+			if (precompressed) {
+				reply.header('Content-Encoding', precompressed.encoding);
+				return { served: true, content: fs.readFileSync(precompressed.filePath) };
+			}
+
+			return { served: true, content: fs.readFileSync(staticFilePath, 'utf8') };
 		}
 
 		// 🔍 Check if route can be statically generated
@@ -731,6 +1223,115 @@ class JurisServer {
 		}
 	}
 
+	/**
+	 * Page config for a static route: htmlCache.routes.pages first, then routes.pages,
+	 * each matched exactly and then by ':param' pattern
+	 */
+	getStaticPageConfig(route) {
+		const pages = this.config.htmlCache?.routes?.pages || {};
+		if (pages[route]) {
+			return pages[route];
+		}
+
+		for (const [pattern, page] of Object.entries(pages)) {
+			if (this.matchRoutePattern(route, pattern)) {
+				return page;
+			}
+		}
+
+		return this.matchPageRoute(route).page;
+	}
+
+	// API model services (config/api.model.js) for paths() functions
+	async loadAPIServices() {
+		const dbQuery = path.join(process.cwd(), 'services/db.query.js');
+		if (!fs.existsSync(dbQuery)) {
+			return {};
+		}
+		return require(dbQuery).loadAPIServices();
+	}
+
+	/**
+	 * Expand htmlCache routes into concrete URLs. A ':param' route is expanded by the
+	 * paths() function on its page config, which returns params objects or URLs:
+	 * paths: async ({ services }) => (await services.users.findAll()).map(u => ({ id: u.id }))
+	 */
+	async expandStaticRoutes(routes = this.config.htmlCache?.generation?.routes || [], expanded = {}) {
+		const concrete = [];
+		const services = routes.some(route => route.includes(':')) ? await this.loadAPIServices() : null;
+
+		for (const route of routes) {
+			if (!route.includes(':')) {
+				concrete.push(route);
+				continue;
+			}
+
+			const pageConfig = this.getStaticPageConfig(route);
+			if (typeof pageConfig.paths !== 'function') {
+				console.warn(`⚠️  Skipping ${route}: parameterized routes need a paths() function`);
+				continue;
+			}
+
+			const entries = await Promise.resolve(pageConfig.paths({ services, config: this.config }));
+			expanded[route] = (entries || []).map(entry => typeof entry === 'string' ? entry : this.buildRoutePath(route, entry));
+			concrete.push(...expanded[route]);
+		}
+
+		return [...new Set(concrete)];
+	}
+
+	buildRoutePath(pattern, params = {}) {
+		return '/' + pattern.split('/').filter(Boolean).map(segment => {
+			if (!segment.startsWith(':')) {
+				return segment;
+			}
+			const name = segment.slice(1);
+			if (params[name] === undefined || params[name] === null) {
+				throw new Error(`paths() for ${pattern} returned params without '${name}'`);
+			}
+			return encodeURIComponent(params[name]);
+		}).join('/');
+	}
+
+	/**
+	 * Whether a URL is served from the htmlCache. Literal routes match directly; pattern
+	 * routes match when paths() lists the URL. Expansions are reused for the htmlCache ttl.
+	 */
+	async isStaticRoute(url) {
+		const routes = this.config.htmlCache.generation.routes || [];
+		if (routes.includes(url)) {
+			return true;
+		}
+
+		const patterns = routes.filter(route => route.includes(':') && this.matchRoutePattern(url, route));
+		if (patterns.length === 0) {
+			return false;
+		}
+
+		const maxAge = this.config.htmlCache.generation.ttl || (5 * 60 * 1000);
+		if (!this.staticRouteCache || Date.now() - this.staticRouteCache.createdAt > maxAge) {
+			// The pending expansion is cached, so concurrent requests share one paths() run
+			const cache = {
+				routes: this.expandStaticRoutes(routes.filter(route => route.includes(':'))).then(expanded => new Set(expanded)),
+				createdAt: Date.now()
+			};
+			this.staticRouteCache = cache;
+			// A failed expansion is retried by the next request
+			cache.routes.catch(() => {
+				if (this.staticRouteCache === cache) {
+					this.staticRouteCache = null;
+				}
+			});
+		}
+
+		try {
+			return (await this.staticRouteCache.routes).has(url);
+		} catch (error) {
+			console.error('❌ Failed to expand static routes:', error.message);
+			return false;
+		}
+	}
+
 	/**
 	 * Get static file path for a route
 	 */
@@ -772,26 +1373,27 @@ class JurisServer {
 	 * Generate a single static file
 	 */
 	async generateStaticFile(route, outputDir) {
-		// Reset app for clean generation
-		await this.resetAppForRequest();
-
-		// Execute beforeGenerate hook
-		if (this.config.hooks?.beforeGenerate) {
-			await Promise.resolve(this.config.hooks.beforeGenerate(this.app, route, this.config));
-		}
+		// Render on a clean request-scoped app instance
+		let { html, state } = await this.withAppInstance(async ({ app, router, stringRenderer }) => {
+			// Execute beforeGenerate hook
+			if (this.config.hooks?.beforeGenerate) {
+				await Promise.resolve(this.config.hooks.beforeGenerate(app, route, this.config));
+			}
+			await this.runRouteLoader(app, route);
 
-		// Set route and render
-		this.router.setRoute(route);
-		const content = await this.stringRenderer.renderToString();
-		const state = this.app.stateManager.state;
+			// Set route and render
+			router.setRoute(route);
+			const content = await stringRenderer.renderToString();
+			const state = app.stateManager.state;
 
-		// Generate page configuration - UPDATED: Check htmlCache.routes first, then fall back to routes.pages
-		const pageConfig = this.config.htmlCache?.routes?.pages?.[route] || this.config.routes?.pages?.[route] || {};
-		const title = pageConfig.title || `${this.config.app.title} - ${route}`;
+			// Generate page configuration - UPDATED: Check htmlCache.routes first, then fall back to routes.pages
+			const pageConfig = this.getStaticPageConfig(route);
+			const title = pageConfig.title || `${this.config.app.title} - ${route}`;
 
-		// Create HTML
-		const htmlTemplate = this.createHTMLTemplate();
-		let html = htmlTemplate(content, state, title);
+			// Create HTML
+			const htmlTemplate = this.createHTMLTemplate();
+			return { html: htmlTemplate(content, state, title, this.getDocumentHead(app)), state };
+		});
 
 		// UPDATED: Minify HTML if enabled in htmlCache config
 		if (this.config.htmlCache?.generation?.minifyHTML) {
@@ -811,6 +1413,11 @@ class JurisServer {
 		// Write static file
 		fs.writeFileSync(filePath, html, 'utf8');
 
+		const precompress = this.getPrecompressOptions(this.config.htmlCache?.generation);
+		if (precompress) {
+			this.precompressFile(filePath, precompress);
+		}
+
 		console.log(`💾 Static file saved: ${filePath} (${(Buffer.byteLength(html, 'utf8') / 1024).toFixed(1)}KB)`);
 
 		return html;
@@ -855,14 +1462,19 @@ class JurisServer {
 	}
 
 	// FIXED: Enhanced app reset with proper async support
-	async resetAppForRequest() {
-		// Reset state manager
-		//this.app.stateManager.reset([]);
-		this.app.stateManager.state = { ...this.config.app.initialState };
+	async resetAppForRequest(app = this.app) {
+		// Reset state manager with a private copy so instances never share nested objects
+		//app.stateManager.reset([]);
+		app.stateManager.state = this.cloneInitialState();
+		// Computed values memoized from the previous request's state
+		app.stateManager.resetComputed();
+		// Render and wildcard subscriptions belong to the previous request
+		app.stateManager.subscribers.clear();
+		app.stateManager.patternSubscribers.clear();
 
 		// If there are any async headless components that need reset, handle them here
 		try {
-			const headlessComponents = this.app.headlessManager.instances;
+			const headlessComponents = app.headlessManager.instances;
 			for (const [name, instance] of headlessComponents) {
 				if (instance.hooks?.onReset) {
 					await Promise.resolve(instance.hooks.onReset());
@@ -875,48 +1487,77 @@ class JurisServer {
 
 	// Create HTML template function
 	createHTMLTemplate() {
-		return (content, state, title) => {
-			const meta = this.config.app.meta || {};
-			const customMeta = meta.custom || [];
-
-			// Check if files exist and adjust paths
-			const cssPath = this.config.app.cssPath || '/public/css/styles.css';
-			const jsPath = this.config.app.jsPath || '/public/js/juris-app.js';
-			const jsScript = this.app.stateManager.state._juris?.swapScripts || null
-			let html = `<!DOCTYPE html>
+		return (content, state, title, head = null) => {
+			return `${this.createHTMLShell(title, head)}${content}</div>${this.createHTMLClosing(state)}`;
+		};
+	}
+
+	// Head entries contributed by components during render through the Head headless API
+	getDocumentHead(app) {
+		const head = app.headlessManager.getAPI('Head');
+		if (!head) {
+			return null;
+		}
+
+		return {
+			title: head.getTitle(),
+			html: head.renderToString({ title: false }),
+			keys: head.getEntries().map(entry => entry.id)
+		};
+	}
+
+	// Document start, up to and including the opening app container
+	createHTMLShell(title, head = null) {
+		const meta = this.config.app.meta || {};
+		// Component-contributed head entries replace configured meta with the same key
+		const customMeta = (meta.custom || []).filter(m => !head?.keys.includes(`meta:${m.name || m.property}`));
+		if (head?.title) {
+			title = head.title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+		}
+
+		// Check if files exist and adjust paths
+		const cssPath = this.config.app.cssPath || '/public/css/styles.css';
+
+		return `<!DOCTYPE html>
 <html lang="${this.config.app.lang || 'en'}">
 <head>
     <meta charset="${meta.charset || 'UTF-8'}">
     <meta name="viewport" content="${meta.viewport || 'width=device-width, initial-scale=1.0'}">
     <title>${title}</title>
     ${customMeta.map(m => {
-				if (m.name) return `<meta name="${m.name}" content="${m.content}">`;
-				if (m.property) return `<meta property="${m.property}" content="${m.content}">`;
-				return '';
-			}).join('\n    ')}
+			if (m.name) return `<meta name="${m.name}" content="${m.content}">`;
+			if (m.property) return `<meta property="${m.property}" content="${m.content}">`;
+			return '';
+		}).join('\n    ')}${head?.html ? `\n    ${head.html}` : ''}
     <link rel="stylesheet" href="${cssPath}">
 </head>
 <body>
-    <div id="app">${content}</div>`;
-			if (!jsScript) {
-				html += `
+    <div id="app">`;
+	}
+
+	// Document end after the app container: hydration data and client scripts
+	createHTMLClosing(state) {
+		const jsPath = this.config.app.jsPath || '/public/js/juris-app.js';
+		const jsScript = state._juris?.swapScripts || null
+		let html = '';
+		if (!jsScript) {
+			html += `
 			<script>
 					window.__hydration_data = ${JSON.stringify(state)};
 			</script>`;
-			}
+		}
 
-			if (jsScript) {
-				html += `<script>${jsScript}</script>`;
-			} else {
-				html += `
+		if (jsScript) {
+			html += `<script>${jsScript}</script>`;
+		} else {
+			html += `
     <script src="${jsPath}"></script>`;
-			}
+		}
 
-			html += `
+		html += `
 </body>
 </html>`;
-			return html;
-		};
+		return html;
 	}
 
 	// FIXED: Enhanced error page rendering with async support
@@ -1021,12 +1662,17 @@ class JurisServer {
 		if (this.fastify) {
 			await this.fastify.close();
 		}
+
+		// Drop pooled app instances; they are recreated on the next initialize()
+		this.appPool.splice(0).forEach(({ app }) => app.destroy());
 	}
 
 	// Reload configuration (for development)
 	async reload() {
 		console.log('Reloading configuration...');
 		this.config = this.loadConfiguration();
+		this.cache = new JurisPageCache(this.config.ssrCache);
+		this.staticRouteCache = null;
 		await this.stop();
 		this.isInitialized = false;
 		await this.start();
@@ -1053,7 +1699,6 @@ class JurisServer {
 
 		const {
 			outputDir,
-			routes = [],
 			copyAssets = true,
 			minifyHTML = false,
 			cleanOutput = true,
@@ -1066,10 +1711,21 @@ class JurisServer {
 			await this.initialize();
 		}
 
+		// Expand ':param' routes through their paths() functions
+		const expandedRoutes = {};
+		const routes = await this.expandStaticRoutes(generationConfig.routes || [], expandedRoutes);
+
 		const results = {
 			generated: [],
 			skipped: [],
 			errors: [],
+			expandedRoutes,
+			discovered: [],
+			notFound: [],
+			// Content hash and output file per generated route, compared across incremental builds
+			pages: {},
+			previousPages: generationConfig.incremental ? this.readPreviousPages(outputDir) : null,
+			changes: { added: [], changed: [], removed: [], unchanged: [] },
 			stats: {
 				startTime: Date.now(),
 				totalRoutes: routes.length,
@@ -1080,8 +1736,8 @@ class JurisServer {
 		};
 
 		try {
-			// Prepare output directory
-			await this.prepareOutputDirectory(outputDir, cleanOutput);
+			// Prepare output directory; incremental builds keep the previous output to diff against
+			await this.prepareOutputDirectory(outputDir, cleanOutput && !generationConfig.incremental);
 
 			// Copy assets first if enabled
 			if (copyAssets) {
@@ -1089,15 +1745,29 @@ class JurisServer {
 			}
 
 			// Generate routes
-			if (parallel && routes.length > maxConcurrent) {
+			if (generationConfig.crawl?.enabled) {
+				await this.generateRoutesCrawl(routes, outputDir, generationConfig, results);
+			} else if (parallel && routes.length > maxConcurrent) {
 				await this.generateRoutesParallel(routes, outputDir, generationConfig, results);
 			} else {
 				await this.generateRoutesSequential(routes, outputDir, generationConfig, results);
 			}
 
+			// Drop pages for routes that are no longer generated
+			if (results.previousPages) {
+				this.removeStalePages(outputDir, results);
+			}
+
 			// Finalize generation
 			await this.finalizeGeneration(outputDir, generationConfig, results);
 
+			// Write .gz/.br siblings once every file, sitemap included, is in place
+			const precompress = this.getPrecompressOptions(generationConfig);
+			if (precompress) {
+				results.stats.precompressed = this.precompressOutput(outputDir, precompress);
+				console.log(`🗜️  Precompressed ${results.stats.precompressed} file(s)`);
+			}
+
 			// Print summary
 			this.printGenerationSummary(results);
 
@@ -1115,25 +1785,17 @@ class JurisServer {
 	 */
 	async shouldGenerateStatic(route) {
 		try {
-			// Reset app for clean state
-			await this.resetAppForRequest();
-
-			// Set the route
-			this.router.setRoute(route);
-
-			// Render once to detect reactivity
-			await this.stringRenderer.renderToString();
-
-			// Check if any reactive subscriptions were created
-			const hasReactivity = this.app.stateManager.subscribers.size > 0;
+			// Render on a clean request-scoped app instance
+			return await this.withAppInstance(async ({ app, router, stringRenderer }) => {
+				// Set the route
+				router.setRoute(route);
 
-			console.log(`🔍 Route ${route}: ${hasReactivity ? '⚡ reactive' : '📄 static'}`);
+				// Render once to detect reactivity
+				await stringRenderer.renderToString();
 
-			return {
-				canGenerateStatic: !hasReactivity,
-				hasReactivity,
-				subscriptionCount: this.app.stateManager.subscribers.size
-			};
+				// Check if any reactive subscriptions were created
+				return this.getStaticRouteCheck(route, app.stateManager.subscribers.size);
+			});
 
 		} catch (error) {
 			console.warn(`⚠️  Error checking reactivity for ${route}:`, error.message);
@@ -1141,6 +1803,18 @@ class JurisServer {
 		}
 	}
 
+	getStaticRouteCheck(route, subscriptionCount) {
+		const hasReactivity = subscriptionCount > 0;
+
+		console.log(`🔍 Route ${route}: ${hasReactivity ? '⚡ reactive' : '📄 static'}`);
+
+		return {
+			canGenerateStatic: !hasReactivity,
+			hasReactivity,
+			subscriptionCount
+		};
+	}
+
 	/**
 	 * Generate routes sequentially
 	 */
@@ -1155,6 +1829,148 @@ class JurisServer {
 		}
 	}
 
+	/**
+	 * Render a route as a static page on a clean request-scoped app instance (safe for parallel generation).
+	 * Returns the app markup (content), the full document (html), the state it was rendered from,
+	 * the router's status for the route and how many reactive subscriptions the render created.
+	 */
+	async renderStaticRoute(route) {
+		return this.withAppInstance(async ({ app, router, stringRenderer }) => {
+			// Execute any beforeGenerate hooks
+			if (this.config.hooks?.beforeGenerate) {
+				await Promise.resolve(this.config.hooks.beforeGenerate(app, route, this.config));
+			}
+			await this.runRouteLoader(app, route);
+
+			// Set route and render
+			router.setRoute(route);
+			const content = await stringRenderer.renderToString();
+			const state = app.stateManager.state;
+
+			// UPDATED: Generate page configuration from htmlCache or routes
+			const pageConfig = this.getStaticPageConfig(route);
+			const title = pageConfig.title || `${this.config.app.title} - ${route}`;
+
+			// Create HTML
+			const htmlTemplate = this.createHTMLTemplate();
+			return {
+				content,
+				html: htmlTemplate(content, state, title, this.getDocumentHead(app)),
+				state,
+				status: this.getRouteStatus(router),
+				subscriptionCount: app.stateManager.subscribers.size
+			};
+		});
+	}
+
+	/**
+	 * Crawl mode: render from the seed routes, follow internal <a href> links breadth-first
+	 * and generate every page found. Pages the app renders as not found are reported
+	 * with the page that linked to them instead of being written.
+	 */
+	async generateRoutesCrawl(routes, outputDir, config, results) {
+		const {
+			seeds = routes,
+			include = [],
+			exclude = [],
+			maxDepth = 5,
+			maxPages = 1000
+		} = config.crawl;
+
+		const queue = seeds.map(route => ({ route, depth: 0, from: null }));
+		const seen = new Set(seeds);
+
+		console.log(`🕷️  Crawling from ${seeds.length} seed route(s) (max depth ${maxDepth})`);
+
+		while (queue.length > 0) {
+			const { route, depth, from } = queue.shift();
+			results.discovered.push({ route, depth, from });
+
+			let page;
+			try {
+				page = await this.renderStaticRoute(route);
+			} catch (error) {
+				console.error(`❌ Failed to render ${route}:`, error.message);
+				results.errors.push({ route, error: error.message });
+				continue;
+			}
+
+			if (page.status === 404) {
+				console.log(`🔗 Not found: ${route}${from ? ` (linked from ${from})` : ''}`);
+				results.notFound.push({ route, from });
+				continue;
+			}
+
+			if (depth < maxDepth) {
+				for (const link of this.extractInternalLinks(page.content, route)) {
+					if (seen.has(link) || seen.size >= maxPages || !this.shouldCrawlRoute(link, include, exclude)) {
+						continue;
+					}
+					seen.add(link);
+					queue.push({ route: link, depth: depth + 1, from: route });
+				}
+			}
+
+			try {
+				// The render used for link discovery is the one written out
+				await this.generateSingleRoute(route, outputDir, config, results, page);
+			} catch (error) {
+				console.error(`❌ Failed to generate ${route}:`, error.message);
+				results.errors.push({ route, error: error.message });
+			}
+		}
+
+		results.stats.totalRoutes = results.discovered.length;
+	}
+
+	// Status the router matched for its current route (404 outside its configured routes)
+	getRouteStatus(router) {
+		return typeof router.getStatus === 'function' ? router.getStatus() : 200;
+	}
+
+	// Same-origin paths linked from rendered markup, without query string or hash
+	extractInternalLinks(html, fromRoute) {
+		const origin = new URL(this.config.app.baseUrl || 'http://localhost').origin;
+		const links = new Set();
+		const hrefPattern = /<a\s[^>]*?href\s*=\s*(["'])(.*?)\1/gi;
+		let match;
+
+		while ((match = hrefPattern.exec(html)) !== null) {
+			const href = match[2].replace(/&amp;/g, '&').trim();
+			if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href)) {
+				continue;
+			}
+
+			let url;
+			try {
+				url = new URL(href, origin + fromRoute);
+			} catch (error) {
+				continue;
+			}
+
+			if (url.origin !== origin) {
+				continue;
+			}
+
+			const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+			links.add(pathname);
+		}
+
+		return links;
+	}
+
+	shouldCrawlRoute(route, include = [], exclude = []) {
+		const matches = pattern => pattern instanceof RegExp ? pattern.test(route) : route.startsWith(pattern);
+
+		if (this.config.routes.exclude.patterns.some(pattern => pattern.test(route))) {
+			return false;
+		}
+		if (exclude.some(matches)) {
+			return false;
+		}
+		return include.length === 0 || include.some(matches);
+	}
+
 	/**
 	 * Generate routes in parallel batches
 	 */
@@ -1183,13 +1999,13 @@ class JurisServer {
 	/**
 	 * Generate a single route
 	 */
-	async generateSingleRoute(route, outputDir, config, results) {
+	async generateSingleRoute(route, outputDir, config, results, page = null) {
 		const startTime = Date.now();
 
 		console.log(`📄 Generating: ${route}`);
 
 		// Check if route should be generated statically
-		const routeCheck = await this.shouldGenerateStatic(route);
+		const routeCheck = page ? this.getStaticRouteCheck(route, page.subscriptionCount) : await this.shouldGenerateStatic(route);
 
 		if (!routeCheck.canGenerateStatic) {
 			console.log(`⏭️  Skipping ${route}: ${routeCheck.hasReactivity ? 'uses reactivity' : 'error detected'}`);
@@ -1202,26 +2018,7 @@ class JurisServer {
 			return;
 		}
 
-		// Reset app for clean generation
-		await this.resetAppForRequest();
-
-		// Execute any beforeGenerate hooks
-		if (this.config.hooks?.beforeGenerate) {
-			await Promise.resolve(this.config.hooks.beforeGenerate(this.app, route, this.config));
-		}
-
-		// Set route and render
-		this.router.setRoute(route);
-		const content = await this.stringRenderer.renderToString();
-		const state = this.app.stateManager.state;
-
-		// UPDATED: Generate page configuration from htmlCache or routes
-		const pageConfig = this.config.htmlCache?.routes?.pages?.[route] || this.config.routes?.pages?.[route] || {};
-		const title = pageConfig.title || `${this.config.app.title} - ${route}`;
-
-		// Create HTML
-		const htmlTemplate = this.createHTMLTemplate();
-		let html = htmlTemplate(content, state, title);
+		let { html, state } = page || await this.renderStaticRoute(route);
 
 		// Minify HTML if enabled
 		if (config.minifyHTML) {
@@ -1234,10 +2031,19 @@ class JurisServer {
 			html = result?.html || html;
 		}
 
-		// Write file
 		const filePath = this.getOutputPath(outputDir, route);
-		await this.ensureDirectoryExists(path.dirname(filePath));
-		fs.writeFileSync(filePath, html, 'utf8');
+		const hash = require('crypto').createHash('sha256').update(html).update(JSON.stringify(state)).digest('hex');
+		const previous = results.previousPages?.[route];
+		results.pages[route] = { hash, file: path.relative(outputDir, filePath) };
+
+		// Incremental builds leave unchanged pages on disk untouched
+		if (previous && previous.hash === hash && fs.existsSync(filePath)) {
+			results.changes.unchanged.push(route);
+		} else {
+			await this.ensureDirectoryExists(path.dirname(filePath));
+			fs.writeFileSync(filePath, html, 'utf8');
+			results.changes[previous ? 'changed' : 'added'].push(route);
+		}
 
 		const endTime = Date.now();
 		const fileSize = Buffer.byteLength(html, 'utf8');
@@ -1258,6 +2064,163 @@ class JurisServer {
 		console.log(`✅ Generated ${route} (${(fileSize / 1024).toFixed(1)}KB) in ${endTime - startTime}ms`);
 	}
 
+	/**
+	 * Route hashes from the previous build manifest, or {} for a first build
+	 */
+	readPreviousPages(outputDir) {
+		const manifestPath = path.join(outputDir, 'build-manifest.json');
+		if (!fs.existsSync(manifestPath)) {
+			return {};
+		}
+
+		try {
+			return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).pages || {};
+		} catch (error) {
+			console.warn(`⚠️  Ignoring unreadable build manifest: ${error.message}`);
+			return {};
+		}
+	}
+
+	/**
+	 * Delete output for routes in the previous manifest that this build didn't produce.
+	 * Routes that failed this time keep their previous page and manifest entry.
+	 */
+	removeStalePages(outputDir, results) {
+		const failed = new Set(results.errors.map(({ route }) => route));
+
+		for (const [route, page] of Object.entries(results.previousPages)) {
+			if (results.pages[route]) {
+				continue;
+			}
+			if (failed.has(route)) {
+				results.pages[route] = page;
+				continue;
+			}
+
+			const filePath = path.join(outputDir, page.file);
+			if (fs.existsSync(filePath)) {
+				fs.rmSync(filePath);
+				fs.rmSync(`${filePath}.gz`, { force: true });
+				fs.rmSync(`${filePath}.br`, { force: true });
+				// Remove directories the page leaves empty, up to the output root
+				let dir = path.dirname(filePath);
+				while (path.resolve(dir) !== path.resolve(outputDir) && fs.readdirSync(dir).length === 0) {
+					fs.rmdirSync(dir);
+					dir = path.dirname(dir);
+				}
+			}
+			results.changes.removed.push(route);
+		}
+	}
+
+	/**
+	 * Normalize htmlCache.generation.precompress (true or an options object), or null when off
+	 */
+	getPrecompressOptions(config = {}) {
+		const precompress = config?.precompress;
+		if (!precompress || precompress.enabled === false) {
+			return null;
+		}
+
+		return {
+			gzip: true,
+			brotli: true,
+			extensions: ['.html', '.js', '.css', '.xml'],
+			...(typeof precompress === 'object' ? precompress : {})
+		};
+	}
+
+	/**
+	 * Write .gz and .br siblings for compressible files under a directory.
+	 * Siblings at least as new as their source are kept, so incremental builds only recompress changes.
+	 */
+	precompressOutput(dir, options) {
+		let count = 0;
+
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const entryPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				count += this.precompressOutput(entryPath, options);
+			} else if (options.extensions.includes(path.extname(entry.name))) {
+				count += this.precompressFile(entryPath, options) ? 1 : 0;
+			}
+		}
+
+		return count;
+	}
+
+	precompressFile(filePath, options) {
+		const zlib = require('zlib');
+		const sourceTime = fs.statSync(filePath).mtimeMs;
+		const isCurrent = variant => fs.existsSync(variant) && fs.statSync(variant).mtimeMs >= sourceTime;
+		let written = false;
+		let content = null;
+
+		if (options.gzip && !isCurrent(`${filePath}.gz`)) {
+			content = content || fs.readFileSync(filePath);
+			fs.writeFileSync(`${filePath}.gz`, zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }));
+			written = true;
+		}
+
+		if (options.brotli && !isCurrent(`${filePath}.br`)) {
+			content = content || fs.readFileSync(filePath);
+			fs.writeFileSync(`${filePath}.br`, zlib.brotliCompressSync(content, {
+				params: {
+					[zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+					[zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+					[zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+				}
+			}));
+			written = true;
+		}
+
+		return written;
+	}
+
+	// Best precompressed sibling for an Accept-Encoding header, ignoring siblings older than the file
+	// Highest-weighted acceptable encoding wins, br on ties; unlisted encodings take the '*' weight
+	pickPrecompressedFile(filePath, acceptEncoding = '') {
+		const weights = this.parseAcceptEncoding(acceptEncoding);
+		const weight = encoding => weights.get(encoding) ?? weights.get('*') ?? 0;
+		const sourceTime = fs.statSync(filePath).mtimeMs;
+		let best = null;
+
+		for (const [encoding, extension] of [['br', '.br'], ['gzip', '.gz']]) {
+			const q = weight(encoding);
+			if (q <= 0 || (best && q <= best.q)) {
+				continue;
+			}
+			const variant = filePath + extension;
+			if (fs.existsSync(variant) && fs.statSync(variant).mtimeMs >= sourceTime) {
+				best = { encoding, filePath: variant, q };
+			}
+		}
+
+		return best && { encoding: best.encoding, filePath: best.filePath };
+	}
+
+	// Accept-Encoding as a map of lowercased coding to q-value; q=0 means refused
+	parseAcceptEncoding(header = '') {
+		const weights = new Map();
+		String(header || '').split(',').forEach(part => {
+			const [coding, ...params] = part.split(';').map(value => value.trim());
+			if (!coding) {
+				return;
+			}
+
+			let q = 1;
+			params.forEach(param => {
+				const [name, value] = param.split('=').map(item => item.trim());
+				if (name.toLowerCase() === 'q') {
+					const parsed = parseFloat(value);
+					q = Number.isNaN(parsed) ? 0 : Math.min(Math.max(parsed, 0), 1);
+				}
+			});
+			weights.set(coding.toLowerCase(), q);
+		});
+		return weights;
+	}
+
 	/**
 	 * Prepare output directory
 	 */
@@ -1346,7 +2309,7 @@ class JurisServer {
 		return html
 			.replace(/\s+/g, ' ')                    // Multiple spaces to single
 			.replace(/>\s+</g, '><')                 // Remove spaces between tags
-			.replace(/<!--[\s\S]*?-->/g, '')         // Remove comments
+			.replace(/<!--(?!\/?juris:)[\s\S]*?-->/g, '') // Remove comments, keeping hydration markers
 			.trim();
 	}
 
@@ -1421,6 +2384,11 @@ Sitemap: ${baseUrl}/sitemap.xml`;
 				copyAssets: this.config.htmlCache.generation.copyAssets || true
 			},
 			stats: results.stats,
+			expandedRoutes: results.expandedRoutes || {},
+			discovered: results.discovered || [],
+			notFound: results.notFound || [],
+			pages: results.pages || {},
+			changes: results.changes,
 			generated: results.generated.map(r => ({
 				route: r.route,
 				size: r.size,
@@ -1449,6 +2417,13 @@ Sitemap: ${baseUrl}/sitemap.xml`;
 		console.log(`📄 Generated: ${generated.length} routes`);
 		console.log(`⏭️  Skipped: ${skipped.length} routes`);
 		console.log(`❌ Errors: ${errors.length} routes`);
+		if (results.previousPages) {
+			const { added, changed, removed, unchanged } = results.changes;
+			console.log(`🔁 Incremental: ${added.length} added, ${changed.length} changed, ${removed.length} removed, ${unchanged.length} unchanged`);
+		}
+		if (results.discovered?.length > 0) {
+			console.log(`🕷️  Discovered: ${results.discovered.length} routes (${results.notFound.length} not found)`);
+		}
 		console.log(`💾 Total size: ${(stats.totalSize / 1024).toFixed(1)}KB`);
 		console.log(`📈 Average size: ${generated.length > 0 ? (stats.totalSize / generated.length / 1024).toFixed(1) : 0}KB per page`);
 
@@ -1466,6 +2441,13 @@ Sitemap: ${baseUrl}/sitemap.xml`;
 			});
 		}
 
+		if (results.notFound?.length > 0) {
+			console.log('\n🔗 Broken Links (not found):');
+			results.notFound.forEach(({ route, from }) => {
+				console.log(`  ${route}${from ? ` - linked from ${from}` : ''}`);
+			});
+		}
+
 		if (errors.length > 0) {
 			console.log('\n❌ Errors:');
 			errors.forEach(({ route, error }) => {
@@ -47,7 +47,133 @@
 
     // Utilities
     const isValidPath = path => typeof path === 'string' && path.trim().length > 0 && !path.includes('..');
-    const getPathParts = path => path.split('.').filter(Boolean);
+    // 'todos[0].done' and 'todos.0.done' address the same path
+    const getPathParts = path => path.replace(/\[(\w+|\*{1,2})\]/g, '.$1').split('.').filter(Boolean);
+    const normalizePath = path => path.includes('[') ? getPathParts(path).join('.') : path;
+    const isIndexPart = part => /^\d+$/.test(part);
+    const isPatternPath = path => path.includes('*');
+    // Returned by a middleware to drop the write entirely (exposed as Juris.REJECT)
+    const REJECT_STATE = Symbol('juris.reject');
+
+    const NAMESPACES = {
+        html: 'http://www.w3.org/1999/xhtml',
+        svg: 'http://www.w3.org/2000/svg',
+        math: 'http://www.w3.org/1998/Math/MathML',
+        xlink: 'http://www.w3.org/1999/xlink',
+        xml: 'http://www.w3.org/XML/1998/namespace',
+        xmlns: 'http://www.w3.org/2000/xmlns/'
+    };
+    // SVG attribute names are case-sensitive; the all-lowercase spelling is accepted, as the HTML parser does
+    const SVG_ATTRIBUTE_CASE = new Map([
+        'viewBox', 'preserveAspectRatio', 'gradientUnits', 'gradientTransform', 'spreadMethod',
+        'patternUnits', 'patternContentUnits', 'patternTransform', 'clipPathUnits', 'maskUnits', 'maskContentUnits',
+        'markerUnits', 'markerWidth', 'markerHeight', 'refX', 'refY', 'pathLength', 'textLength', 'lengthAdjust',
+        'startOffset', 'filterUnits', 'primitiveUnits', 'stdDeviation', 'baseFrequency', 'numOctaves', 'stitchTiles',
+        'kernelMatrix', 'tableValues', 'diffuseConstant', 'specularExponent', 'surfaceScale',
+        'xChannelSelector', 'yChannelSelector', 'attributeName', 'repeatCount', 'calcMode', 'keyTimes', 'keySplines', 'keyPoints'
+    ].map(name => [name.toLowerCase(), name]));
+    // Attribute name as written on an SVG/MathML element: className -> class, xlinkHref -> xlink:href, viewbox -> viewBox
+    const foreignAttributeName = name => {
+        if (name === 'className') return 'class';
+        if (name === 'tabIndex') return 'tabindex';
+        return SVG_ATTRIBUTE_CASE.get(name) || name.replace(/^(xlink|xml)([A-Z])/, (match, prefix, letter) => `${prefix}:${letter.toLowerCase()}`);
+    };
+    // The server installs a stub window without document.head for SSR
+    const hasBrowserDocument = () => typeof window !== 'undefined' && !!window.document?.head;
+    // Browsers have no NODE_ENV, so they count as development unless told otherwise
+    const isDevelopment = typeof process === 'undefined' || process.env?.NODE_ENV !== 'production';
+    const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+    // Devtools hook: window.__JURIS_DEVTOOLS_HOOK__, shared by every Juris app on the page.
+    // Events: app:init, app:destroy, state:change, component:mount, component:unmount, headless:status, render.
+    // A browser extension may install its own hook before Juris loads; it needs register, emit and listenerCount
+    // (unregister is optional).
+    const createDevtoolsHook = () => {
+        const listeners = new Map();
+        const apps = new Map();
+        let nextAppId = 1;
+        let count = 0;
+        return {
+            apps,
+            on(event, callback) {
+                if (!listeners.has(event)) listeners.set(event, new Set());
+                listeners.get(event).add(callback);
+                count++;
+                return () => {
+                    if (listeners.get(event)?.delete(callback)) count--;
+                };
+            },
+            emit(event, payload) {
+                [event, '*'].forEach(key => listeners.get(key)?.forEach(callback => {
+                    try {
+                        callback(payload, event);
+                    } catch (error) {
+                        console.error('Devtools listener error:', error);
+                    }
+                }));
+            },
+            listenerCount: () => count,
+            register(juris) {
+                const appId = nextAppId++;
+                apps.set(appId, juris);
+                this.emit('app:init', { appId, timestamp: Date.now() });
+                return appId;
+            },
+            unregister(appId) {
+                if (apps.delete(appId)) this.emit('app:destroy', { appId, timestamp: Date.now() });
+            },
+            // Snapshot for panels that attach after the app started
+            inspect(appId = apps.keys().next().value) {
+                const juris = apps.get(appId);
+                if (!juris) return null;
+                return {
+                    appId,
+                    state: juris.stateManager.state,
+                    components: Array.from(juris.componentManager.mounted.values()),
+                    headless: juris.getHeadlessStatus(),
+                    subscriptions: juris.stateManager.getSubscriptionStats()
+                };
+            }
+        };
+    };
+
+    const getDevtoolsHook = () => {
+        if (!hasBrowserDocument()) return null;
+        if (!window.__JURIS_DEVTOOLS_HOOK__) window.__JURIS_DEVTOOLS_HOOK__ = createDevtoolsHook();
+        return window.__JURIS_DEVTOOLS_HOOK__;
+    };
+
+    // devtools is { hook, appId }; nothing is built or sent until something listens
+    const emitDevtools = (devtools, event, payload) => {
+        if (!devtools || devtools.hook.listenerCount() === 0) return;
+        devtools.hook.emit(event, { appId: devtools.appId, timestamp: Date.now(), ...payload });
+    };
+
+    // Match path parts against a subscription pattern where '*' is one segment and '**' any number
+    // (including none). Returns the captured segments, or null. With partial, a path that ends while
+    // the pattern continues also matches: it is an ancestor of paths the pattern could match.
+    const matchPathPattern = (patternParts, parts, partial = false) => {
+        const captures = [];
+        const walk = (pi, si) => {
+            if (pi === patternParts.length) return si === parts.length;
+            if (si === parts.length) return partial || patternParts.slice(pi).every(part => part === '**');
+            const segment = patternParts[pi];
+            if (segment === '**') {
+                for (let n = parts.length - si; n >= 0; n--) {
+                    captures.push(parts.slice(si, si + n).join('.'));
+                    if (walk(pi + 1, si + n)) return true;
+                    captures.pop();
+                }
+                return false;
+            }
+            if (segment !== '*' && segment !== parts[si]) return false;
+            if (segment === '*') captures.push(parts[si]);
+            if (walk(pi + 1, si + 1)) return true;
+            if (segment === '*') captures.pop();
+            return false;
+        };
+        return walk(0, 0) ? captures : null;
+    };
 
     const deepEquals = (a, b) => {
         if (a === b) return true;
@@ -65,6 +191,28 @@
         const activePromises = new Set();
         let isTracking = false;
         const subscribers = new Set();
+        // Suspense scope: promises passed through promisify are reported to it, and callbacks chained
+        // on them run with the scope current again, so async work they start is counted as well
+        let currentScope = null;
+
+        const runInScope = (scope, fn) => {
+            const previous = currentScope;
+            currentScope = scope;
+            try {
+                return fn();
+            } finally {
+                currentScope = previous;
+            }
+        };
+
+        const bindScope = (scope, callback) => typeof callback === 'function' ?
+            (...args) => runInScope(scope, () => callback(...args)) : callback;
+
+        const scopedThenable = (promise, scope) => ({
+            then: (onFulfilled, onRejected) => scopedThenable(promise.then(bindScope(scope, onFulfilled), bindScope(scope, onRejected)), scope),
+            catch: onRejected => scopedThenable(promise.catch(bindScope(scope, onRejected)), scope),
+            finally: onFinally => scopedThenable(promise.finally(bindScope(scope, onFinally)), scope)
+        });
 
         const checkAllComplete = () => {
             if (activePromises.size === 0 && subscribers.size > 0) {
@@ -83,6 +231,10 @@
                 });
             }
 
+            if (currentScope && promise === result) {
+                currentScope.track(promise);
+                return scopedThenable(promise, currentScope);
+            }
             return promise;
         };
 
@@ -102,18 +254,143 @@
                     setTimeout(callback, 0);
                 }
                 return () => subscribers.delete(callback);
-            }
+            },
+            runInScope
         };
     };
-    const { promisify, startTracking, stopTracking, onAllComplete } = createPromisify();
+    const { promisify, startTracking, stopTracking, onAllComplete, runInScope: runInPromiseScope } = createPromisify();
+
+    // Path-keyed map stored as a trie of path segments, so the entries at, above and below a path
+    // are found by walking only that branch. Exposes the Map methods StateManager relies on.
+    class PathTrie {
+        constructor() {
+            this.root = { children: new Map(), hasValue: false, value: undefined };
+            this.size = 0;
+        }
+
+        _node(path, create = false) {
+            let node = this.root;
+            for (const part of path.split('.')) {
+                let child = node.children.get(part);
+                if (!child) {
+                    if (!create) return null;
+                    child = { children: new Map(), hasValue: false, value: undefined };
+                    node.children.set(part, child);
+                }
+                node = child;
+            }
+            return node;
+        }
+
+        get(path) {
+            return this._node(path)?.value;
+        }
+
+        has(path) {
+            return !!this._node(path)?.hasValue;
+        }
+
+        set(path, value) {
+            const node = this._node(path, true);
+            if (!node.hasValue) this.size++;
+            node.hasValue = true;
+            node.value = value;
+            return this;
+        }
+
+        delete(path) {
+            const parts = path.split('.');
+            const trail = [this.root];
+            for (const part of parts) {
+                const child = trail[trail.length - 1].children.get(part);
+                if (!child) return false;
+                trail.push(child);
+            }
+            const node = trail[trail.length - 1];
+            if (!node.hasValue) return false;
+            node.hasValue = false;
+            node.value = undefined;
+            this.size--;
+            // Prune branches left without entries
+            for (let i = parts.length; i > 0 && !trail[i].hasValue && trail[i].children.size === 0; i--) {
+                trail[i - 1].children.delete(parts[i - 1]);
+            }
+            return true;
+        }
+
+        clear() {
+            this.root = { children: new Map(), hasValue: false, value: undefined };
+            this.size = 0;
+        }
+
+        // [path, value] pairs for path and its ancestors, nearest first
+        ancestors(path) {
+            const found = [];
+            let node = this.root;
+            let current = '';
+            for (const part of path.split('.')) {
+                node = node.children.get(part);
+                if (!node) break;
+                current = current ? `${current}.${part}` : part;
+                if (node.hasValue) found.push([current, node.value]);
+            }
+            return found.reverse();
+        }
+
+        // [path, value] pairs strictly below path
+        descendants(path) {
+            const found = [];
+            const node = this._node(path);
+            if (node) this._collect(node, path, found);
+            return found;
+        }
+
+        hasDescendants(path) {
+            return (this._node(path)?.children.size || 0) > 0;
+        }
+
+        _collect(node, path, found) {
+            node.children.forEach((child, part) => {
+                const childPath = `${path}.${part}`;
+                if (child.hasValue) found.push([childPath, child.value]);
+                this._collect(child, childPath, found);
+            });
+        }
+
+        entries() {
+            const found = [];
+            this.root.children.forEach((child, part) => {
+                if (child.hasValue) found.push([part, child.value]);
+                this._collect(child, part, found);
+            });
+            return found[Symbol.iterator]();
+        }
+
+        keys() {
+            return Array.from(this.entries(), ([path]) => path)[Symbol.iterator]();
+        }
+
+        values() {
+            return Array.from(this.entries(), ([, value]) => value)[Symbol.iterator]();
+        }
+
+        forEach(callback) {
+            for (const [path, value] of this.entries()) callback(value, path, this);
+        }
+
+        [Symbol.iterator]() {
+            return this.entries();
+        }
+    }
 
     // State Manager
     class StateManager {
         constructor(initialState = {}, middleware = []) {
             this.state = { ...initialState };
             this.middleware = [...middleware];
-            this.subscribers = new Map();
-            this.externalSubscribers = new Map();
+            this.subscribers = new PathTrie();
+            this.externalSubscribers = new PathTrie();
+            this.patternSubscribers = new Map();
             this.currentTracking = null;
             this.isUpdating = false;
             this.updateQueue = [];
@@ -122,6 +399,12 @@
             this.maxBatchSize = 50;
             this.batchDelayMs = 0;
             this.batchingEnabled = true;
+            this.history = null;
+            this.transaction = null;
+            this.computed = new Map();
+            this.staleComputed = new Set();
+            this.devtools = null;
+            this.patchListeners = new Set();
             this.initialState = JSON.parse(JSON.stringify(initialState));
         }
 
@@ -132,14 +415,22 @@
                 if (value !== null) preserved[path] = value;
             });
             this.state = {};
+            this.resetComputed();
             Object.entries(this.initialState).forEach(([path, value]) =>
                 this.setState(path, JSON.parse(JSON.stringify(value))));
             Object.entries(preserved).forEach(([path, value]) => this.setState(path, value));
+            // Keys dropped by the reset never went through setState, so mirrors get the whole state
+            if (this.patchListeners.size > 0) this._emitPatch([{ op: 'replace', path: '', value: cloneValue(this.state) }], { reset: true });
         }
         /* 1. Reactivity works when getState is called from intended functional attributes and children.  */
         getState(path, defaultValue = null, track = true) {
             if (!isValidPath(path)) return defaultValue;
+            path = normalizePath(path);
             if (track) this.currentTracking?.add(path);
+            if (this.computed.size > 0) {
+                const computedPath = this._findComputed(path);
+                if (computedPath) return this._getComputedState(computedPath, path, defaultValue);
+            }
             const parts = getPathParts(path);
             let current = this.state;
             for (const part of parts) {
@@ -150,8 +441,14 @@
         }
 
         setState(path, value, context = {}) {
-            if (!isValidPath(path) || this._hasCircularUpdate(path)) return;
-            if (this.batchingEnabled && this.batchDelayMs > 0) {
+            if (!isValidPath(path)) return;
+            path = normalizePath(path);
+            if (this._hasCircularUpdate(path)) return;
+            if (this.computed.has(path)) {
+                console.warn(`Cannot set computed path: ${path}`);
+                return;
+            }
+            if (this.batchingEnabled && this.batchDelayMs > 0 && !this.transaction) {
                 this._queueUpdate(path, value, context);
                 return;
             }
@@ -165,6 +462,7 @@
             for (const middleware of this.middleware) {
                 try {
                     const result = middleware({ path, oldValue, newValue: finalValue, context, state: this.state });
+                    if (result === REJECT_STATE) return;
                     if (result !== undefined) finalValue = result;
                 } catch (error) {
                     console.error('Middleware error:', error);
@@ -174,25 +472,365 @@
             if (deepEquals(oldValue, finalValue)) return;
 
             const parts = getPathParts(path);
+            const undoLog = this.transaction?.undoLog;
             let current = this.state;
+            let created = null;
             for (let i = 0; i < parts.length - 1; i++) {
                 const part = parts[i];
-                if (current[part] == null || typeof current[part] !== 'object') current[part] = {};
+                if (current[part] == null || typeof current[part] !== 'object') {
+                    if (undoLog) undoLog.push(this._undoEntry(current, part));
+                    if (!created) created = { depth: i + 1, existed: current[part] !== undefined };
+                    current[part] = isIndexPart(parts[i + 1]) ? [] : {};
+                }
                 current = current[part];
             }
-            current[parts[parts.length - 1]] = finalValue;
+            const key = parts[parts.length - 1];
+            const existed = !created && current[key] !== undefined;
+            if (undoLog) undoLog.push(this._undoEntry(current, key));
+            // Writing undefined removes the key, so snapshots and patches agree on what exists
+            if (finalValue === undefined && !Array.isArray(current)) delete current[key];
+            else current[key] = finalValue;
+            if (this.patchListeners.size > 0) this._recordPatch(parts, created, existed, oldValue, finalValue, context);
+            if (this.history) this.history.record(path, oldValue, finalValue, context, this.transaction?.history);
+            if (this.computed.size > 0) this._invalidateComputed(path);
+            if (this.devtools) emitDevtools(this.devtools, 'state:change', { path, oldValue, newValue: finalValue, context });
+
+            // Inside a transaction, subscribers hear about the path once, on commit
+            if (this.transaction) {
+                if (!this.transaction.changes.has(path)) this.transaction.changes.set(path, oldValue);
+                return;
+            }
+            this._notifyPath(path, finalValue, oldValue);
+        }
 
-            if (!this.isUpdating) {
-                this.isUpdating = true;
-                if (!this.currentlyUpdating) this.currentlyUpdating = new Set();
-                this.currentlyUpdating.add(path);
-                this._notifySubscribers(path, finalValue, oldValue);
-                this._notifyExternalSubscribers(path, finalValue, oldValue);
-                this.currentlyUpdating.delete(path);
-                this.isUpdating = false;
+        _notifyPath(path, newValue, oldValue) {
+            if (this.isUpdating) return;
+            this.isUpdating = true;
+            if (!this.currentlyUpdating) this.currentlyUpdating = new Set();
+            this.currentlyUpdating.add(path);
+            this._notifySubscribers(path, newValue, oldValue);
+            this._notifyExternalSubscribers(path, newValue, oldValue);
+            if (this.staleComputed.size > 0) this._notifyComputed(path);
+            this.currentlyUpdating.delete(path);
+            this.isUpdating = false;
+        }
+
+        _undoEntry(parent, key) {
+            const entry = { parent, key, had: Object.prototype.hasOwnProperty.call(parent, key), value: parent[key] };
+            if (Array.isArray(parent)) entry.length = parent.length;
+            return entry;
+        }
+
+        // Apply fn's writes atomically: one notification per changed path after fn completes,
+        // full rollback if it throws or its promise rejects. Nested calls join the outer transaction.
+        // Only fn's synchronous part captures plain setState calls; after an await, write through the
+        // scope fn receives, so writes made elsewhere meanwhile stay out of the transaction.
+        batch(fn) {
+            const outer = this.transaction;
+            const tx = outer || { undoLog: [], changes: new Map(), patches: [], history: [], closed: false };
+            const savepoint = tx.undoLog.length;
+            const patchMark = tx.patches.length;
+            const historyMark = tx.history.length;
+            // Writes arriving after the transaction committed (e.g. a nested async batch) apply on their own
+            const scoped = action => tx.closed ? action() : this._inTransaction(tx, action);
+            const scope = {
+                getState: (path, defaultValue, track) => this.getState(path, defaultValue, track),
+                setState: (path, value, context) => scoped(() => this.setState(path, value, context)),
+                transaction: innerFn => scoped(() => this.batch(innerFn))
+            };
+
+            const rollback = error => {
+                this._rollback(tx, savepoint);
+                tx.patches.splice(patchMark);
+                tx.history.splice(historyMark);
+                if (!outer) this._commitTransaction(tx);
+                throw error;
+            };
+
+            let result;
+            try {
+                result = this._inTransaction(tx, () => fn(scope));
+            } catch (error) {
+                rollback(error);
+            }
+
+            if (result?.then) {
+                return result.then(value => {
+                    if (!outer) this._commitTransaction(tx);
+                    return value;
+                }, rollback);
+            }
+            if (!outer) this._commitTransaction(tx);
+            return result;
+        }
+
+        _inTransaction(tx, fn) {
+            const previous = this.transaction;
+            this.transaction = tx;
+            try {
+                return fn();
+            } finally {
+                this.transaction = previous;
             }
         }
 
+        // JSON Patch feed: callback(ops, { path, context }) after every committed change;
+        // a transaction delivers its ops together on commit
+        onPatch(callback) {
+            this.patchListeners.add(callback);
+            return () => this.patchListeners.delete(callback);
+        }
+
+        _recordPatch(parts, created, existed, oldValue, newValue, context) {
+            let ops;
+            if (created) {
+                // Intermediate containers were created: add the new subtree where it starts
+                const base = parts.slice(0, created.depth);
+                ops = [{ op: created.existed ? 'replace' : 'add', path: toPointer(base), value: cloneValue(this.getState(base.join('.'), undefined, false)) }];
+            } else {
+                ops = diff(existed ? oldValue : undefined, newValue, toPointer(parts));
+            }
+            if (ops.length === 0) return;
+            if (this.transaction) this.transaction.patches.push(...ops);
+            else this._emitPatch(ops, { path: parts.join('.'), context });
+        }
+
+        _emitPatch(ops, meta) {
+            this.patchListeners.forEach(callback => {
+                try {
+                    callback(ops, meta);
+                } catch (error) {
+                    console.error('Patch listener error:', error);
+                }
+            });
+        }
+
+        getSnapshot() {
+            return cloneValue(this.state);
+        }
+
+        // Apply RFC 6902 operations atomically: a failing op (including 'test') rolls back the rest.
+        // Writes carry context.patch so a mirror can avoid echoing them back.
+        applyPatch(ops, context = {}) {
+            const patchContext = { ...context, patch: true };
+            this.batch(() => ops.forEach(operation => this._applyPatchOperation(operation, patchContext)));
+        }
+
+        _applyPatchOperation({ op, path: pointer, value, from }, context) {
+            const parts = fromPointer(pointer);
+            switch (op) {
+                case 'add':
+                    return this._patchInsert(parts, cloneValue(value), context);
+                case 'replace':
+                    this._patchRead(parts, pointer);
+                    return this._patchWrite(parts, cloneValue(value), context);
+                case 'remove':
+                    return this._patchRemove(parts, pointer, context);
+                case 'move': {
+                    const fromParts = fromPointer(from);
+                    const moved = this._patchRead(fromParts, from);
+                    this._patchRemove(fromParts, from, context);
+                    return this._patchInsert(parts, moved, context);
+                }
+                case 'copy':
+                    return this._patchInsert(parts, cloneValue(this._patchRead(fromPointer(from), from)), context);
+                case 'test':
+                    if (!deepEquals(this._patchRead(parts, pointer), value)) throw new Error(`JSON Patch test failed at "${pointer}"`);
+                    return;
+                default:
+                    throw new Error(`Unsupported JSON Patch operation: ${op}`);
+            }
+        }
+
+        _patchRead(parts, pointer) {
+            let current = this.state;
+            for (const part of parts) {
+                if (current?.[part] === undefined) throw new Error(`JSON Patch path not found: "${pointer}"`);
+                current = current[part];
+            }
+            return current;
+        }
+
+        _patchWrite(parts, value, context) {
+            if (parts.length > 0) return this.setState(parts.join('.'), value, context);
+            // Replacing the whole document
+            Object.keys(this.state).forEach(key => {
+                if (!(key in value)) this.setState(key, undefined, context);
+            });
+            Object.entries(value).forEach(([key, child]) => this.setState(key, child, context));
+        }
+
+        _patchInsert(parts, value, context) {
+            const parentParts = parts.slice(0, -1);
+            const parent = parentParts.length > 0 ? this.getState(parentParts.join('.'), undefined, false) : this.state;
+            if (!Array.isArray(parent)) return this._patchWrite(parts, value, context);
+            const key = parts[parts.length - 1];
+            const index = key === '-' ? parent.length : Number(key);
+            if (!(index >= 0 && index <= parent.length)) throw new Error(`JSON Patch index out of range: ${key}`);
+            const items = [...parent];
+            items.splice(index, 0, value);
+            this.setState(parentParts.join('.'), items, context);
+        }
+
+        _patchRemove(parts, pointer, context) {
+            this._patchRead(parts, pointer);
+            const parentParts = parts.slice(0, -1);
+            const parent = parentParts.length > 0 ? this.getState(parentParts.join('.'), undefined, false) : this.state;
+            if (!Array.isArray(parent)) return this.setState(parts.join('.'), undefined, context);
+            const items = [...parent];
+            items.splice(Number(parts[parts.length - 1]), 1);
+            this.setState(parentParts.join('.'), items, context);
+        }
+
+        _rollback(tx, savepoint) {
+            const entries = tx.undoLog.splice(savepoint);
+            for (let i = entries.length - 1; i >= 0; i--) {
+                const { parent, key, had, value, length } = entries[i];
+                if (had) parent[key] = value;
+                else delete parent[key];
+                if (length !== undefined) parent.length = length;
+            }
+            if (entries.length === 0) return;
+            this.computed.forEach((entry, path) => {
+                if (!entry.dirty) entry.previousValue = entry.value;
+                entry.dirty = true;
+                this.staleComputed.add(path);
+            });
+        }
+
+        // Derived path: fn(getState) is evaluated lazily, memoized, and re-evaluated only after
+        // one of the paths it read changes. Readable and subscribable like any other path.
+        defineComputed(path, fn) {
+            if (!isValidPath(path) || typeof fn !== 'function') {
+                console.error('defineComputed requires a valid path and a function');
+                return () => {};
+            }
+            this.computed.set(path, { fn, value: undefined, previousValue: undefined, deps: new Set(), dirty: true, evaluating: false });
+            this._invalidateComputed(path);
+            return () => this.removeComputed(path);
+        }
+
+        // Forget every memoized computed value, e.g. after the whole state object was replaced
+        resetComputed() {
+            this.computed.forEach(entry => {
+                if (!entry.dirty) entry.previousValue = entry.value;
+                entry.dirty = true;
+            });
+            this.staleComputed.clear();
+        }
+
+        removeComputed(path) {
+            this.staleComputed.delete(path);
+            return this.computed.delete(path);
+        }
+
+        isComputed(path) {
+            return this.computed.has(path);
+        }
+
+        _findComputed(path) {
+            if (this.computed.has(path)) return path;
+            const parts = getPathParts(path);
+            for (let i = parts.length - 1; i > 0; i--) {
+                const prefix = parts.slice(0, i).join('.');
+                if (this.computed.has(prefix)) return prefix;
+            }
+            return null;
+        }
+
+        _getComputedState(computedPath, path, defaultValue) {
+            let current = this._evaluateComputed(computedPath);
+            if (path !== computedPath) {
+                for (const part of getPathParts(path.slice(computedPath.length + 1))) {
+                    if (current?.[part] === undefined) return defaultValue;
+                    current = current[part];
+                }
+            }
+            return current === undefined ? defaultValue : current;
+        }
+
+        _evaluateComputed(path) {
+            const entry = this.computed.get(path);
+            if (!entry.dirty) return entry.value;
+            if (entry.evaluating) {
+                console.warn(`Circular computed dependency detected for path: ${path}`);
+                return entry.value;
+            }
+
+            const parentTracking = this.currentTracking;
+            const deps = new Set();
+            this.currentTracking = deps;
+            entry.evaluating = true;
+            try {
+                entry.value = entry.fn((depPath, defaultValue, track) => this.getState(depPath, defaultValue, track));
+                entry.deps = deps;
+                entry.dirty = false;
+            } catch (error) {
+                console.error(`Computed error for path ${path}:`, error);
+            } finally {
+                entry.evaluating = false;
+                this.currentTracking = parentTracking;
+            }
+            return entry.value;
+        }
+
+        // Mark computed paths that read changedPath (or a parent/child of it) as stale,
+        // including computed paths derived from those
+        _invalidateComputed(changedPath, visited = new Set()) {
+            const affects = dep => dep === changedPath || dep.startsWith(changedPath + '.') || changedPath.startsWith(dep + '.');
+            this.computed.forEach((entry, path) => {
+                if (visited.has(path) || ![...entry.deps].some(affects)) return;
+                visited.add(path);
+                if (!entry.dirty) entry.previousValue = entry.value;
+                entry.dirty = true;
+                this.staleComputed.add(path);
+                this._invalidateComputed(path, visited);
+            });
+        }
+
+        _hasComputedListeners(path) {
+            if (this.subscribers.has(path)) return true;
+            if (this.externalSubscribers.ancestors(path).length > 0 || this.externalSubscribers.hasDescendants(path)) return true;
+            const parts = getPathParts(path);
+            for (const subscriptions of this.patternSubscribers.values()) {
+                for (const subscription of subscriptions) {
+                    if (matchPathPattern(subscription.parts, parts, true)) return true;
+                }
+            }
+            return false;
+        }
+
+        // Re-evaluate stale computed paths that someone is listening to, and notify if they changed.
+        // Unobserved ones stay dirty until the next getState.
+        _notifyComputed(changedPath) {
+            const stale = [...this.staleComputed];
+            this.staleComputed.clear();
+            stale.forEach(path => {
+                const entry = this.computed.get(path);
+                if (!entry || !this._hasComputedListeners(path)) return;
+                const oldValue = entry.previousValue;
+                const newValue = this._evaluateComputed(path);
+                if (deepEquals(oldValue, newValue)) return;
+                // Internal subscribers below changedPath were already triggered as its children
+                if (!path.startsWith(changedPath + '.')) {
+                    this._triggerPathSubscribers(path);
+                    this.subscribers.descendants(path).forEach(([subscriberPath]) => this._triggerPathSubscribers(subscriberPath));
+                }
+                this._notifyExternalSubscribers(path, newValue, oldValue);
+            });
+        }
+
+        _commitTransaction(tx) {
+            tx.closed = true;
+            this.history?.commit(tx.history);
+            if (tx.patches.length > 0) this._emitPatch(tx.patches, { transaction: true });
+            // Paths that were rolled back, or set and then restored, end up unchanged
+            tx.changes.forEach((oldValue, path) => {
+                const newValue = this.getState(path, null, false);
+                if (!deepEquals(oldValue, newValue)) this._notifyPath(path, newValue, oldValue);
+            });
+        }
+
         _queueUpdate(path, value, context) {
             this.updateQueue.push({ path, value, context, timestamp: Date.now() });
             if (this.updateQueue.length > this.maxBatchSize * 2) {
@@ -218,7 +856,10 @@
             try {
                 const pathGroups = new Map();
                 currentBatch.forEach(update => pathGroups.set(update.path, update));
-                pathGroups.forEach(update => this._setStateImmediate(update.path, update.value, update.context));
+                const applyBatch = () => pathGroups.forEach(update => this._setStateImmediate(update.path, update.value, update.context));
+                // A batch is one undoable step
+                if (this.history) this.history.group(applyBatch);
+                else applyBatch();
             } catch (error) {
                 console.error('Error processing batched updates:', error);
             } finally {
@@ -233,15 +874,19 @@
             if (options.enabled !== undefined) this.batchingEnabled = options.enabled;
         }
 
+        // Paths may use '*' (one segment) and '**' (any depth); pattern callbacks receive
+        // (newValue, oldValue, matchedPath, captures)
         subscribe(path, callback, hierarchical = true) {
-            if (!this.externalSubscribers.has(path)) this.externalSubscribers.set(path, new Set());
-            const subscription = { callback, hierarchical };
-            this.externalSubscribers.get(path).add(subscription);
+            path = normalizePath(path);
+            const registry = isPatternPath(path) ? this.patternSubscribers : this.externalSubscribers;
+            if (!registry.has(path)) registry.set(path, new Set());
+            const subscription = { callback, hierarchical, parts: getPathParts(path) };
+            registry.get(path).add(subscription);
             return () => {
-                const subs = this.externalSubscribers.get(path);
+                const subs = registry.get(path);
                 if (subs) {
                     subs.delete(subscription);
-                    if (subs.size === 0) this.externalSubscribers.delete(path);
+                    if (subs.size === 0) registry.delete(path);
                 }
             };
         }
@@ -262,28 +907,16 @@
             };
         }
 
+        // Path itself, then its ancestors nearest first, then everything below it
         _notifySubscribers(path, newValue, oldValue) {
-            this._triggerPathSubscribers(path);
-            const parts = getPathParts(path);
-            for (let i = parts.length - 1; i > 0; i--) {
-                this._triggerPathSubscribers(parts.slice(0, i).join('.'));
-            }
-            const prefix = path ? path + '.' : '';
-            const allPaths = new Set([...this.subscribers.keys(), ...this.externalSubscribers.keys()]);
-            allPaths.forEach(subscriberPath => {
-                if (subscriberPath.startsWith(prefix) && subscriberPath !== path) {
-                    this._triggerPathSubscribers(subscriberPath);
-                }
-            });
+            const affected = [...this.subscribers.ancestors(path), ...this.subscribers.descendants(path)];
+            affected.forEach(([subscriberPath]) => this._triggerPathSubscribers(subscriberPath));
         }
 
         _notifyExternalSubscribers(changedPath, newValue, oldValue) {
-            this.externalSubscribers.forEach((subscriptions, subscribedPath) => {
-                subscriptions.forEach(({ callback, hierarchical }) => {
-                    const shouldNotify = hierarchical ?
-                        (changedPath === subscribedPath || changedPath.startsWith(subscribedPath + '.')) :
-                        changedPath === subscribedPath;
-                    if (shouldNotify) {
+            this.externalSubscribers.ancestors(changedPath).forEach(([subscribedPath, subscriptions]) => {
+                new Set(subscriptions).forEach(({ callback, hierarchical }) => {
+                    if (hierarchical || changedPath === subscribedPath) {
                         try {
                             callback(newValue, oldValue, changedPath);
                         } catch (error) {
@@ -292,6 +925,63 @@
                     }
                 });
             });
+            if (this.patternSubscribers.size > 0) this._notifyPatternSubscribers(changedPath, newValue, oldValue);
+        }
+
+        _notifyPatternSubscribers(changedPath, newValue, oldValue) {
+            const changedParts = getPathParts(changedPath);
+            const call = (callback, ...args) => {
+                try {
+                    callback(...args);
+                } catch (error) {
+                    console.error('External subscriber error:', error);
+                }
+            };
+
+            this.patternSubscribers.forEach(subscriptions => {
+                subscriptions.forEach(({ callback, hierarchical, parts }) => {
+                    let captures = matchPathPattern(parts, changedParts);
+                    if (captures) return call(callback, newValue, oldValue, changedPath, captures);
+
+                    // A change below a matching path
+                    if (hierarchical) {
+                        for (let i = changedParts.length - 1; i > 0; i--) {
+                            captures = matchPathPattern(parts, changedParts.slice(0, i));
+                            if (captures) return call(callback, newValue, oldValue, changedPath, captures);
+                        }
+                    }
+
+                    // A change above matching paths, e.g. replacing 'todos' for 'todos.*.done':
+                    // report every concrete match whose value actually changed
+                    if (matchPathPattern(parts, changedParts, true)) {
+                        this._expandPatternMatches(parts, changedParts, newValue, oldValue, (value, previous, path, matched) =>
+                            call(callback, value, previous, path, matched));
+                    }
+                });
+            });
+        }
+
+        _expandPatternMatches(patternParts, parts, newValue, oldValue, report) {
+            if (deepEquals(newValue, oldValue)) return;
+            const captures = matchPathPattern(patternParts, parts);
+            if (captures) return report(newValue, oldValue, parts.join('.'), captures);
+            if (!matchPathPattern(patternParts, parts, true)) return;
+
+            const keys = new Set();
+            [newValue, oldValue].forEach(value => {
+                if (value && typeof value === 'object') Object.keys(value).forEach(key => keys.add(key));
+            });
+            keys.forEach(key => this._expandPatternMatches(patternParts, [...parts, key], newValue?.[key], oldValue?.[key], report));
+        }
+
+        getSubscriptionStats() {
+            const count = registry => Array.from(registry.values()).reduce((total, subs) => total + subs.size, 0);
+            return {
+                internal: count(this.subscribers),
+                external: count(this.externalSubscribers),
+                patterns: count(this.patternSubscribers),
+                paths: this.subscribers.size + this.externalSubscribers.size + this.patternSubscribers.size
+            };
         }
 
         _triggerPathSubscribers(path) {
@@ -340,6 +1030,661 @@
         }
     }
 
+    // Snapshot values so later in-place mutations can't rewrite recorded history
+    const cloneValue = value => {
+        if (value === null || typeof value !== 'object') return value;
+        try {
+            return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+        } catch (error) {
+            return value;
+        }
+    };
+
+    // RFC 6901 pointers for state paths: 'todos.0.text' <-> '/todos/0/text'
+    const toPointer = parts => parts.map(part => '/' + String(part).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+    const fromPointer = pointer => pointer === '' ? [] : pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    // RFC 6902 operations turning a into b; undefined counts as absent. Arrays are compared by index.
+    const diff = (a, b, pointer = '') => {
+        if (deepEquals(a, b)) return [];
+        if (a === undefined) return [{ op: 'add', path: pointer, value: cloneValue(b) }];
+        if (b === undefined) return [{ op: 'remove', path: pointer }];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            const ops = [];
+            const common = Math.min(a.length, b.length);
+            for (let i = 0; i < common; i++) ops.push(...diff(a[i], b[i], `${pointer}/${i}`));
+            for (let i = common; i < b.length; i++) ops.push({ op: 'add', path: `${pointer}/${i}`, value: cloneValue(b[i]) });
+            // Highest index first, so each remove leaves the next one's index valid
+            for (let i = a.length - 1; i >= common; i--) ops.push({ op: 'remove', path: `${pointer}/${i}` });
+            return ops;
+        }
+
+        if (isObject(a) && isObject(b)) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return Array.from(keys).flatMap(key => diff(a[key], b[key], pointer + toPointer([key])));
+        }
+
+        return [{ op: 'replace', path: pointer, value: cloneValue(b) }];
+    };
+
+    // State History (opt-in undo/redo)
+    class StateHistory {
+        constructor(stateManager, options = {}) {
+            this.stateManager = stateManager;
+            this.limit = options.limit || 100;
+            this.include = options.include || null;
+            this.exclude = options.exclude || [];
+            this.statePath = options.statePath || null;
+            this.steps = [];
+            this.index = 0;
+            this.groupDepth = 0;
+            this.pendingGroup = null;
+            this.applying = false;
+            this.listeners = new Set();
+        }
+
+        _matches(path, pattern) {
+            return pattern instanceof RegExp ? pattern.test(path) : path === pattern || path.startsWith(pattern + '.');
+        }
+
+        shouldRecord(path) {
+            if (this.applying) return false;
+            if (this.statePath && this._matches(path, this.statePath)) return false;
+            if (this.include && !this.include.some(pattern => this._matches(path, pattern))) return false;
+            return !this.exclude.some(pattern => this._matches(path, pattern));
+        }
+
+        // into: a transaction's own change list, committed as one step
+        record(path, oldValue, newValue, context = {}, into = null) {
+            // Changes synced from another tab belong to that tab's history
+            if (context.remote || !this.shouldRecord(path)) return;
+            const change = { path, oldValue: cloneValue(oldValue), newValue: cloneValue(newValue), context, timestamp: Date.now() };
+            if (into) {
+                into.push(change);
+                return;
+            }
+            if (this.pendingGroup) {
+                this.pendingGroup.changes.push(change);
+                return;
+            }
+            this._push({ label: context.historyLabel || null, changes: [change], timestamp: change.timestamp });
+        }
+
+        _push(step) {
+            // A new change discards anything that was undone
+            this.steps.splice(this.index);
+            this.steps.push(step);
+            if (this.steps.length > this.limit) this.steps.splice(0, this.steps.length - this.limit);
+            this.index = this.steps.length;
+            this._notify();
+        }
+
+        group(label, fn) {
+            if (typeof label === 'function') [fn, label] = [label, null];
+            this.startGroup(label);
+            try {
+                return fn();
+            } finally {
+                this.endGroup();
+            }
+        }
+
+        startGroup(label = null) {
+            if (this.groupDepth++ === 0) this.pendingGroup = { label, changes: [], timestamp: Date.now() };
+        }
+
+        // A committed transaction's changes: one step, or part of the group that is open
+        commit(changes) {
+            if (changes.length === 0) return;
+            if (this.pendingGroup) this.pendingGroup.changes.push(...changes);
+            else this._push({ label: null, changes, timestamp: changes[0].timestamp });
+        }
+
+        endGroup() {
+            if (this.groupDepth === 0 || --this.groupDepth > 0) return;
+            const step = this.pendingGroup;
+            this.pendingGroup = null;
+            if (step.changes.length > 0) this._push(step);
+        }
+
+        _apply(changes, key, direction) {
+            this.applying = true;
+            try {
+                changes.forEach(change => this.stateManager._setStateImmediate(change.path, cloneValue(change[key]), { ...change.context, history: direction }));
+            } finally {
+                this.applying = false;
+            }
+        }
+
+        undo() {
+            if (!this.canUndo()) return false;
+            const step = this.steps[--this.index];
+            this._apply([...step.changes].reverse(), 'oldValue', 'undo');
+            this._notify();
+            return true;
+        }
+
+        redo() {
+            if (!this.canRedo()) return false;
+            const step = this.steps[this.index++];
+            this._apply(step.changes, 'newValue', 'redo');
+            this._notify();
+            return true;
+        }
+
+        // 0 is the state before the first recorded step, steps.length the latest state
+        jumpTo(index) {
+            const target = Math.max(0, Math.min(index, this.steps.length));
+            while (this.index > target) this.undo();
+            while (this.index < target) this.redo();
+            return this.index;
+        }
+
+        canUndo() { return this.index > 0; }
+        canRedo() { return this.index < this.steps.length; }
+
+        clear() {
+            this.steps = [];
+            this.index = 0;
+            this._notify();
+        }
+
+        getEntries() {
+            return this.steps.map((step, i) => ({ ...step, applied: i < this.index }));
+        }
+
+        getStatus() {
+            return { index: this.index, length: this.steps.length, canUndo: this.canUndo(), canRedo: this.canRedo() };
+        }
+
+        subscribe(callback) {
+            this.listeners.add(callback);
+            return () => this.listeners.delete(callback);
+        }
+
+        _notify() {
+            const status = this.getStatus();
+            // Mirror status into state so components can render undo/redo controls reactively
+            if (this.statePath) this.stateManager.setState(this.statePath, status);
+            this.listeners.forEach(callback => {
+                try {
+                    callback(status);
+                } catch (error) {
+                    console.error('History listener error:', error);
+                }
+            });
+        }
+    }
+
+    // Persistence adapters share the Web Storage surface: getItem, setItem, removeItem
+    const createMemoryStorage = () => {
+        const items = new Map();
+        return {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); }
+        };
+    };
+
+    // Node only: all keys live in one JSON file, written synchronously so a flush on exit completes
+    const createFileStorage = (file = '.juris/state.json') => {
+        const fs = require('fs');
+        const path = require('path');
+        const read = () => {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                return {};
+            }
+        };
+        const write = data => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        };
+        return {
+            getItem: key => {
+                const data = read();
+                return key in data ? data[key] : null;
+            },
+            setItem: (key, value) => write({ ...read(), [key]: String(value) }),
+            removeItem: key => {
+                const data = read();
+                delete data[key];
+                write(data);
+            }
+        };
+    };
+
+    const createStorageAdapter = (storage, options = {}) => {
+        if (storage && typeof storage === 'object') return storage;
+        try {
+            if (storage === 'localStorage' || storage === 'sessionStorage') {
+                if (typeof window !== 'undefined' && window[storage]) return window[storage];
+            } else if (storage === 'file') {
+                if (typeof require === 'function') return createFileStorage(options.file);
+            } else if (storage === 'memory') {
+                return createMemoryStorage();
+            }
+        } catch (error) {
+            console.warn(`Storage "${storage}" unavailable:`, error.message);
+        }
+        console.warn(`Storage "${storage}" is not available in this environment, persisting to memory`);
+        return createMemoryStorage();
+    };
+
+    // State Persistence: rehydrate selected paths from storage and write them back on change
+    class StatePersistence {
+        constructor(stateManager, options = {}) {
+            this.stateManager = stateManager;
+            this.paths = (options.paths || []).map(normalizePath);
+            this.key = options.key || 'juris-state';
+            this.version = options.version ?? 1;
+            this.migrate = options.migrate || null;
+            this.debounce = options.debounce ?? 100;
+            // 'storage': persisted values win; 'hydration': server state wins for paths it contains;
+            // or a function (path, storedValue, hydrationValue) => value
+            this.precedence = options.precedence || 'storage';
+            this.hydrationData = options.hydrationData !== undefined ? options.hydrationData :
+                (typeof window !== 'undefined' ? window.__hydration_data || null : null);
+            this.storage = createStorageAdapter(options.storage || 'localStorage', options);
+            this.writeTimeout = null;
+            this.unsubscribers = [];
+            this.onExit = () => this.flush();
+        }
+
+        start() {
+            this.rehydrate();
+            this.paths.forEach(path => {
+                this.unsubscribers.push(this.stateManager.subscribe(path, () => this.scheduleWrite()));
+            });
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('pagehide', this.onExit);
+            } else if (typeof process !== 'undefined' && process.once) {
+                process.once('exit', this.onExit);
+            }
+            return this;
+        }
+
+        read() {
+            try {
+                const raw = this.storage.getItem(this.key);
+                if (!raw) return null;
+                let { version, state } = JSON.parse(raw);
+                if (version !== this.version) {
+                    if (!this.migrate) {
+                        console.warn(`Discarding persisted state: version ${version} does not match ${this.version}`);
+                        return null;
+                    }
+                    state = this.migrate(state, version, this.version);
+                }
+                return state || null;
+            } catch (error) {
+                console.error('Persisted state could not be read:', error);
+                return null;
+            }
+        }
+
+        rehydrate() {
+            const stored = this.read();
+            if (!stored) return;
+            this.paths.forEach(path => {
+                if (stored[path] === undefined) return;
+                const value = this._resolve(path, stored[path]);
+                if (value !== undefined) this.stateManager.setState(path, value, { persist: 'rehydrate' });
+            });
+        }
+
+        _resolve(path, storedValue) {
+            let hydrationValue = this.hydrationData;
+            for (const part of getPathParts(path)) hydrationValue = hydrationValue?.[part];
+            if (typeof this.precedence === 'function') return this.precedence(path, storedValue, hydrationValue);
+            if (this.precedence === 'hydration' && hydrationValue !== undefined) return undefined;
+            return storedValue;
+        }
+
+        scheduleWrite() {
+            if (this.debounce <= 0) return this.flush();
+            clearTimeout(this.writeTimeout);
+            this.writeTimeout = setTimeout(() => this.flush(), this.debounce);
+        }
+
+        flush() {
+            clearTimeout(this.writeTimeout);
+            this.writeTimeout = null;
+            const state = {};
+            this.paths.forEach(path => {
+                const value = this.stateManager.getState(path, undefined, false);
+                if (value !== undefined) state[path] = value;
+            });
+            try {
+                this.storage.setItem(this.key, JSON.stringify({ version: this.version, state, savedAt: Date.now() }));
+            } catch (error) {
+                console.error('State could not be persisted:', error);
+            }
+        }
+
+        clear() {
+            clearTimeout(this.writeTimeout);
+            this.writeTimeout = null;
+            this.storage.removeItem(this.key);
+        }
+
+        destroy() {
+            // A write still waiting on the debounce would otherwise be lost
+            if (this.writeTimeout !== null) this.flush();
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.unsubscribers = [];
+            if (typeof window !== 'undefined' && window.removeEventListener) {
+                window.removeEventListener('pagehide', this.onExit);
+            } else if (typeof process !== 'undefined' && process.removeListener) {
+                process.removeListener('exit', this.onExit);
+            }
+        }
+    }
+
+    // State Sync: keep selected paths consistent across tabs. Changes go out over BroadcastChannel
+    // (or storage events where it's missing) and come back in with context.remote set.
+    // The most recent write per path wins.
+    class StateSync {
+        constructor(stateManager, options = {}) {
+            this.stateManager = stateManager;
+            this.paths = (options.paths || []).map(normalizePath);
+            this.channelName = options.channel || 'juris-sync';
+            this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            this.clock = new Map();
+            this.pendingRemote = new Map();
+            this.unsubscribers = [];
+            this.channel = null;
+            this.onStorage = null;
+        }
+
+        start() {
+            // Browser only: the server's stub window has no document.head, and SSR apps must not share state
+            if (!hasBrowserDocument()) return this;
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.onmessage = event => this.receive(event.data);
+            } else if (window.localStorage && window.addEventListener) {
+                this.onStorage = event => {
+                    if (event.key !== this.channelName || !event.newValue) return;
+                    try {
+                        this.receive(JSON.parse(event.newValue));
+                    } catch (error) {
+                        console.error('State sync message could not be read:', error);
+                    }
+                };
+                window.addEventListener('storage', this.onStorage);
+            } else {
+                console.warn('State sync needs BroadcastChannel or localStorage');
+                return this;
+            }
+
+            this.paths.forEach(path => {
+                this.unsubscribers.push(this.stateManager.subscribe(path, (value, oldValue, changedPath) =>
+                    this._onLocalChange(changedPath, value)));
+            });
+            // Ask open tabs for their current values; newer ones replace ours
+            this.post({ type: 'hello' });
+            return this;
+        }
+
+        _onLocalChange(path, value) {
+            if (this.pendingRemote.has(path) && deepEquals(this.pendingRemote.get(path), value)) {
+                this.pendingRemote.delete(path);
+                return;
+            }
+            const timestamp = Date.now();
+            this.clock.set(path, { timestamp, source: this.tabId });
+            this.post({ type: 'set', path, value, timestamp });
+        }
+
+        post(message) {
+            const payload = { ...message, source: this.tabId };
+            try {
+                if (this.channel) {
+                    this.channel.postMessage(payload);
+                } else if (this.onStorage) {
+                    // A unique id makes repeated identical writes still fire the storage event
+                    window.localStorage.setItem(this.channelName, JSON.stringify({ ...payload, id: Math.random() }));
+                }
+            } catch (error) {
+                console.error('State sync message could not be sent:', error);
+            }
+        }
+
+        receive(message) {
+            if (!message || message.source === this.tabId) return;
+            if (message.type === 'hello') {
+                const values = this.paths.map(path => ({
+                    path,
+                    value: this.stateManager.getState(path, undefined, false),
+                    ...(this.clock.get(path) || { timestamp: 0, source: this.tabId })
+                })).filter(entry => entry.value !== undefined && entry.timestamp > 0);
+                if (values.length > 0) this.post({ type: 'snapshot', values });
+            } else if (message.type === 'set') {
+                this.applyRemote(message.path, message.value, message.timestamp, message.source);
+            } else if (message.type === 'snapshot') {
+                message.values.forEach(entry => this.applyRemote(entry.path, entry.value, entry.timestamp, entry.source || message.source));
+            }
+        }
+
+        // Remote writes lose to a newer local write on the same path or an ancestor of it;
+        // equal timestamps are ordered by tab id so every tab settles on the same value
+        isNewer(path, timestamp, source) {
+            const parts = getPathParts(path);
+            for (let i = parts.length; i > 0; i--) {
+                const local = this.clock.get(parts.slice(0, i).join('.'));
+                if (local && (local.timestamp > timestamp || (local.timestamp === timestamp && local.source > source))) return false;
+            }
+            return true;
+        }
+
+        applyRemote(path, value, timestamp, source) {
+            if (!this.paths.some(synced => path === synced || path.startsWith(synced + '.'))) return;
+            if (!this.isNewer(path, timestamp, source)) return;
+            this.clock.set(path, { timestamp, source });
+            if (deepEquals(this.stateManager.getState(path, undefined, false), value)) return;
+            this.pendingRemote.set(path, value);
+            this.stateManager.setState(path, value, { remote: true, source });
+        }
+
+        destroy() {
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.unsubscribers = [];
+            if (this.channel) this.channel.close();
+            if (this.onStorage) window.removeEventListener('storage', this.onStorage);
+            this.channel = null;
+            this.onStorage = null;
+        }
+    }
+
+    // State Validator: per-path schemas enforced as StateManager middleware.
+    // Schema keys: type (string or array of 'string', 'number', 'integer', 'boolean', 'object',
+    // 'array', 'null', 'any'), nullable, required, properties, items, enum, min, max (value, length
+    // or item count), pattern, validate(value) => true | reason.
+    class StateValidator {
+        constructor(options = {}) {
+            this.schemas = new Map();
+            // 'reject' keeps the old value, 'coerce' tries to convert first, 'warn' only reports
+            this.mode = options.mode || 'reject';
+            this.report = options.report ?? isDevelopment;
+            this.onViolation = options.onViolation || null;
+            Object.entries(options.schemas || {}).forEach(([path, schema]) => this.define(path, schema));
+        }
+
+        define(path, schema) {
+            this.schemas.set(normalizePath(path), schema);
+            return () => this.schemas.delete(normalizePath(path));
+        }
+
+        middleware() {
+            return ({ path, newValue, context }) => {
+                // Remote and history writes were validated where they were first made
+                if (context.remote || context.history) return undefined;
+                const result = this.check(path, newValue);
+                if (result.violations.length === 0) return result.value;
+                this._report(result.violations);
+                return this.mode === 'warn' ? undefined : REJECT_STATE;
+            };
+        }
+
+        // Throw when state (e.g. SSR initialState) violates any registered schema
+        assert(state) {
+            const violations = [];
+            this.schemas.forEach((schema, path) => {
+                let value = state;
+                for (const part of getPathParts(path)) value = value?.[part];
+                violations.push(...this.validate(schema, value, path));
+            });
+            if (violations.length > 0) {
+                const error = new Error(`Invalid state:\n${violations.map(v => `  ${v.path}: ${v.reason}`).join('\n')}`);
+                error.violations = violations;
+                throw error;
+            }
+            return true;
+        }
+
+        // Validate a write to path against its own schema (or the part of an ancestor's schema that
+        // covers it) and against schemas registered below it. Returns the value to write.
+        check(path, value) {
+            let finalValue = value;
+            const violations = [];
+            const schema = this.schemaFor(path);
+            if (schema) {
+                if (this.mode === 'coerce') finalValue = this.coerce(schema, value);
+                violations.push(...this.validate(schema, finalValue, path));
+            }
+            const prefix = path + '.';
+            this.schemas.forEach((childSchema, childPath) => {
+                if (!childPath.startsWith(prefix)) return;
+                let childValue = finalValue;
+                for (const part of getPathParts(childPath.slice(prefix.length))) childValue = childValue?.[part];
+                violations.push(...this.validate(childSchema, childValue, childPath));
+            });
+            return { value: finalValue === value ? undefined : finalValue, violations };
+        }
+
+        schemaFor(path) {
+            if (this.schemas.has(path)) return this.schemas.get(path);
+            const parts = getPathParts(path);
+            for (let i = parts.length - 1; i > 0; i--) {
+                let schema = this.schemas.get(parts.slice(0, i).join('.'));
+                if (!schema) continue;
+                for (const part of parts.slice(i)) {
+                    schema = isIndexPart(part) && schema.items ? schema.items : schema.properties?.[part];
+                    if (!schema) return null;
+                }
+                return schema;
+            }
+            return null;
+        }
+
+        validate(schema, value, path) {
+            const fail = reason => [{ path, reason, value }];
+            if (value === undefined || value === null) {
+                if (value === null && (schema.nullable || this._types(schema).includes('null'))) return [];
+                return schema.required === true ? fail('is required') : [];
+            }
+
+            const types = this._types(schema);
+            const type = this._typeOf(value);
+            if (!types.includes('any') && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+                return fail(`expected ${types.join(' or ')}, got ${type === 'integer' ? 'number' : type}`);
+            }
+
+            if (schema.enum && !schema.enum.some(option => deepEquals(option, value))) {
+                return fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+            }
+
+            const size = typeof value === 'number' ? value : (typeof value === 'string' || Array.isArray(value) ? value.length : null);
+            const unit = typeof value === 'number' ? '' : (Array.isArray(value) ? ' items' : ' characters');
+            if (size !== null && schema.min !== undefined && size < schema.min) return fail(`must be at least ${schema.min}${unit}`);
+            if (size !== null && schema.max !== undefined && size > schema.max) return fail(`must be at most ${schema.max}${unit}`);
+
+            if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+                return fail(`must match ${schema.pattern}`);
+            }
+
+            if (typeof schema.validate === 'function') {
+                const result = schema.validate(value);
+                if (result !== true && result !== undefined) return fail(typeof result === 'string' ? result : 'failed validation');
+            }
+
+            const violations = [];
+            if (Array.isArray(value) && schema.items) {
+                value.forEach((item, i) => violations.push(...this.validate(schema.items, item, `${path}.${i}`)));
+            } else if (type === 'object') {
+                (Array.isArray(schema.required) ? schema.required : []).forEach(key => {
+                    if (value[key] === undefined) violations.push({ path: `${path}.${key}`, reason: 'is required' });
+                });
+                Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                    if (value[key] !== undefined) violations.push(...this.validate(propertySchema, value[key], `${path}.${key}`));
+                });
+            }
+            return violations;
+        }
+
+        // Best-effort conversion towards the schema: numeric and boolean strings, numbers to strings,
+        // clamping to min/max, and the same for array items and object properties
+        coerce(schema, value) {
+            if (value === undefined || value === null) return value;
+            const types = this._types(schema);
+            let result = value;
+
+            if (typeof result === 'string' && (types.includes('number') || types.includes('integer')) && result.trim() !== '' && !isNaN(Number(result))) {
+                result = Number(result);
+            } else if (typeof result === 'string' && types.includes('boolean') && (result === 'true' || result === 'false')) {
+                result = result === 'true';
+            } else if ((typeof result === 'number' || typeof result === 'boolean') && types.includes('string') && !types.includes(typeof result)) {
+                result = String(result);
+            }
+
+            if (typeof result === 'number') {
+                if (types.includes('integer') && !types.includes('number')) result = Math.round(result);
+                if (schema.min !== undefined) result = Math.max(schema.min, result);
+                if (schema.max !== undefined) result = Math.min(schema.max, result);
+            }
+
+            if (Array.isArray(result) && schema.items) {
+                const items = result.map(item => this.coerce(schema.items, item));
+                if (items.some((item, i) => item !== result[i])) result = items;
+            } else if (this._typeOf(result) === 'object' && schema.properties) {
+                let copy = null;
+                Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                    const coerced = this.coerce(propertySchema, result[key]);
+                    if (coerced !== result[key]) (copy = copy || { ...result })[key] = coerced;
+                });
+                if (copy) result = copy;
+            }
+            return result;
+        }
+
+        _types(schema) {
+            const types = schema.type ? [].concat(schema.type) : ['any'];
+            return schema.nullable ? [...types, 'null'] : types;
+        }
+
+        _typeOf(value) {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            if (Number.isInteger(value)) return 'integer';
+            return typeof value;
+        }
+
+        _report(violations) {
+            if (this.onViolation) {
+                try {
+                    this.onViolation(violations);
+                } catch (error) {
+                    console.error('Validation listener error:', error);
+                }
+            }
+            if (this.report) violations.forEach(v => console.warn(`State validation: ${v.path} ${v.reason}`));
+        }
+    }
+
     // Headless Manager
     class HeadlessManager {
         constructor(juris) {
@@ -376,6 +1721,7 @@
                 }
 
                 instance.hooks?.onRegister?.();
+                emitDevtools(this.juris.devtools, 'headless:status', { name, status: this.getStatus() });
                 return instance;
             } catch (error) {
                 console.error(`Error initializing headless component '${name}':`, error);
@@ -434,6 +1780,26 @@
     }
 
     // Component Manager
+    // Built-in ErrorBoundary: renders its children, or fallback({ error, retry }) once anything below it throws.
+    // Both renderers recognise it by the boundary marker; called as a plain component it only renders children.
+    const ErrorBoundary = props => ({
+        div: { 'data-juris-boundary': '', ...(props.className ? { className: props.className } : {}), children: props.children }
+    });
+    ErrorBoundary.boundary = 'error';
+    ErrorBoundary.defaultFallback = error => ({ div: { className: 'juris-error-boundary', text: `Component Error: ${error?.message || error}` } });
+
+    // Built-in Suspense: one fallback for its whole subtree, shown until every promise the children start
+    // has settled or timeout ms have passed. Nested boundaries only wait on their own subtree.
+    const Suspense = props => ({
+        div: {
+            'data-juris-suspense': '', ...(props.className ? { className: props.className } : {}),
+            children: { div: { 'data-juris-suspense-content': '', children: props.children } }
+        }
+    });
+    Suspense.boundary = 'suspense';
+    Suspense.defaultFallback = () => ({ div: { className: 'juris-async-loading', text: 'Loading...' } });
+    Suspense.defaultTimeout = 10000;
+
     class ComponentManager {
         constructor(juris) {
             this.juris = juris;
@@ -443,6 +1809,17 @@
             this.componentStates = new WeakMap();
             this.asyncPlaceholders = new WeakMap();
             this.asyncPropsCache = new Map();
+            this.hydrationReservations = new WeakMap();
+            // element -> { id, name } for devtools; only filled while a devtools listener is attached
+            this.mounted = new Map();
+            // boundary element -> ErrorBoundary state; currentBoundary is the one rendering synchronously
+            this.boundaries = new WeakMap();
+            this.currentBoundary = null;
+            // Async placeholders may never be attached (hydration keeps the server nodes), so remember their boundary
+            this.placeholderBoundaries = new WeakMap();
+            this.suspenseBoundaries = new WeakMap();
+            this.components.set('ErrorBoundary', ErrorBoundary);
+            this.components.set('Suspense', Suspense);
         }
 
         register(name, componentFn) {
@@ -457,20 +1834,195 @@
             }
 
             try {
+                if (componentFn.boundary === 'error') return this._createErrorBoundary(name, props);
+                if (componentFn.boundary === 'suspense') return this._createSuspense(name, props);
                 if (this._hasAsyncProps(props)) return this._createWithAsyncProps(name, componentFn, props);
 
-                const { componentId, componentStates } = this._setupComponent(name);
-                const context = this._createComponentContext(componentId, componentStates);
-                const result = componentFn(props, context);
+                return this._createSyncComponent(name, componentFn, props);
+            } catch (error) {
+                console.error(`Error creating component '${name}':`, error);
+                if (this.handleError(error, { component: name, phase: 'render' })) return null;
+                return this._createErrorElement(error);
+            }
+        }
+
+        /**
+         * Route a render error to the nearest ErrorBoundary - found through the DOM from info.element,
+         * else the boundary rendering right now - and to the app's onError handlers.
+         * Returns true when a boundary took it.
+         */
+        handleError(error, info = {}, nearest = null) {
+            let boundary = this._findBoundary(info.element) || nearest || this.currentBoundary;
+            // A boundary can't catch errors from its own fallback
+            while (boundary?.renderingFallback) boundary = this._parentBoundary(boundary);
+
+            this.juris._reportError(error, { ...info, handled: !!boundary });
+            if (!boundary) return false;
+
+            if (boundary.props.onError) {
+                try { boundary.props.onError(error, info); } catch (hookError) { console.error('ErrorBoundary onError error:', hookError); }
+            }
+            if (boundary.rendering) {
+                boundary.error = boundary.error || error;
+            } else if (!boundary.pendingError) {
+                // Deferred errors surface mid-update; swap in the fallback once that update is done
+                boundary.pendingError = error;
+                Promise.resolve().then(() => {
+                    const pendingError = boundary.pendingError;
+                    boundary.pendingError = null;
+                    if (this.boundaries.has(boundary.element)) this._renderBoundaryFallback(boundary, pendingError);
+                });
+            }
+            return true;
+        }
+
+        _findBoundary(element) {
+            for (let node = element; node; node = node.parentNode) {
+                const boundary = this.boundaries.get(node);
+                if (boundary) return boundary;
+            }
+            return null;
+        }
+
+        _parentBoundary(boundary) {
+            return boundary.parent || this._findBoundary(boundary.element.parentNode);
+        }
+
+        _createErrorBoundary(name, props) {
+            // data-juris-boundary is set by the content/fallback render; while hydrating it still holds the server's outcome
+            // Created directly: the batch-mode element cache would hand two boundaries the same wrapper
+            const element = this.juris.domRenderer._createElementFineGrained('div', props.className ? { className: props.className } : {});
+            const boundary = {
+                name, props, element, parent: this.currentBoundary, subscriptions: [],
+                error: null, pendingError: null, rendering: false, renderingFallback: false
+            };
+            this.boundaries.set(element, boundary);
+            // The server already fell back: render the children fresh instead of matching them against fallback markup
+            const renderer = this.juris.domRenderer;
+            if (renderer.hydration && element.getAttribute('data-juris-boundary') === 'error') {
+                renderer._withoutHydration(() => this._renderBoundaryContent(boundary));
+            } else {
+                this._renderBoundaryContent(boundary);
+            }
+            return element;
+        }
+
+        _renderBoundaryContent(boundary) {
+            const previous = this.currentBoundary;
+            this._releaseBoundary(boundary);
+            boundary.error = null;
+            boundary.rendering = true;
+            boundary.element.setAttribute('data-juris-boundary', '');
+            this.currentBoundary = boundary;
+            try {
+                this.juris.domRenderer._handleChildren(boundary.element, boundary.props.children, boundary.subscriptions);
+            } catch (error) {
+                boundary.error = boundary.error || error;
+                this.juris._reportError(error, { component: boundary.name, phase: 'render', handled: true });
+            } finally {
+                boundary.rendering = false;
+                this.currentBoundary = previous;
+            }
+            if (boundary.error) this._renderBoundaryFallback(boundary, boundary.error);
+        }
+
+        _renderBoundaryFallback(boundary, error) {
+            const { props, element } = boundary;
+            const renderer = this.juris.domRenderer;
+            const retry = () => {
+                if (this.boundaries.get(element) === boundary) this._renderBoundaryContent(boundary);
+            };
+
+            this._releaseBoundary(boundary);
+            element.setAttribute('data-juris-boundary', 'error');
+            const previous = this.currentBoundary;
+            boundary.renderingFallback = true;
+            this.currentBoundary = this._parentBoundary(boundary);
+            try {
+                const fallback = typeof props.fallback === 'function' ? props.fallback({ error, retry }) : props.fallback;
+                renderer._updateChildren(element, fallback ?? ErrorBoundary.defaultFallback(error));
+            } catch (fallbackError) {
+                console.error(`Error rendering ${boundary.name} fallback:`, fallbackError);
+                this.handleError(fallbackError, { element, component: boundary.name, phase: 'fallback' });
+            } finally {
+                boundary.renderingFallback = false;
+                this.currentBoundary = previous;
+            }
+        }
+
+        _createSuspense(name, props) {
+            const renderer = this.juris.domRenderer;
+            const element = renderer._createElementFineGrained('div', props.className ? { className: props.className } : {});
+            const boundary = { name, props, element, content: null, fallback: null, pending: 0, revealed: false, timer: null };
+            boundary.track = promise => {
+                if (boundary.revealed) return;
+                boundary.pending++;
+                // Deferred past the renderer's own callbacks on the promise, which may start more async work
+                const settle = () => setTimeout(() => {
+                    if (--boundary.pending === 0 && boundary.content) this._revealSuspense(boundary);
+                }, 0);
+                promise.then(settle, settle);
+            };
+            this.suspenseBoundaries.set(element, boundary);
+
+            const content = { 'data-juris-suspense-content': '', children: props.children };
+            if (renderer.hydration && element.getAttribute('data-juris-suspense') !== 'pending') {
+                // The server sent resolved content: hydrate it and never show the fallback
+                boundary.revealed = true;
+                renderer._updateChildren(element, { div: content });
+            } else {
+                renderer._withoutHydration(() => {
+                    renderer._updateChildren(element, []);
+                    element.appendChild(runInPromiseScope(boundary, () => renderer._createElementFineGrained('div', content)));
+                });
+            }
+            boundary.content = element.lastElementChild;
+
+            if (boundary.pending > 0) this._suspend(boundary);
+            else this._revealSuspense(boundary);
+            return element;
+        }
 
-                if (result?.then) return this._handleAsyncComponent(promisify(result), name, props, componentStates);
-                return this._processComponentResult(result, name, props, componentStates);
-            } catch (error) {
-                console.error(`Error creating component '${name}':`, error);
-                return this._createErrorElement(error);
+        _suspend(boundary) {
+            const { element, content, props } = boundary;
+            const renderer = this.juris.domRenderer;
+            const fallback = typeof props.fallback === 'function' ? props.fallback() : props.fallback;
+
+            content.hidden = true;
+            element.setAttribute('data-juris-suspense', 'pending');
+            boundary.fallback = renderer._withoutHydration(() =>
+                renderer._createElementFineGrained('div', { 'data-juris-suspense-fallback': '', children: fallback ?? Suspense.defaultFallback() }));
+            element.insertBefore(boundary.fallback, content);
+
+            const timeout = props.timeout ?? Suspense.defaultTimeout;
+            if (timeout > 0 && timeout !== Infinity) {
+                boundary.timer = setTimeout(() => {
+                    console.warn(`${boundary.name}: showing content after ${timeout}ms with ${boundary.pending} promise(s) pending`);
+                    this._revealSuspense(boundary);
+                }, timeout);
+            }
+        }
+
+        _revealSuspense(boundary) {
+            clearTimeout(boundary.timer);
+            boundary.revealed = true;
+            boundary.element.setAttribute('data-juris-suspense', '');
+            if (boundary.content) boundary.content.hidden = false;
+            if (boundary.fallback) {
+                this.juris.domRenderer.cleanup(boundary.fallback);
+                boundary.fallback.remove();
+                boundary.fallback = null;
             }
         }
 
+        // Drop the reactive children subscriptions of the content being replaced
+        _releaseBoundary(boundary) {
+            boundary.subscriptions.forEach(unsubscribe => {
+                try { unsubscribe(); } catch (error) { console.warn('Error during subscription cleanup:', error); }
+            });
+            boundary.subscriptions = [];
+        }
+
         _setupComponent(name) {
             if (!this.componentCounters.has(name)) this.componentCounters.set(name, 0);
             const instanceIndex = this.componentCounters.get(name) + 1;
@@ -504,12 +2056,9 @@
             const placeholder = this._createPlaceholder(`Loading ${name}...`, 'juris-async-props-loading');
             this.asyncPlaceholders.set(placeholder, { name, props, type: 'async-props' });
 
-            this._resolveAsyncProps(props).then(resolvedProps => {
+            promisify(this._resolveAsyncProps(props)).then(resolvedProps => {
                 try {
-                    const realElement = this._createSyncComponent(name, componentFn, resolvedProps);
-                    if (realElement && placeholder.parentNode) {
-                        placeholder.parentNode.replaceChild(realElement, placeholder);
-                    }
+                    this._renderIntoPlaceholder(placeholder, () => this._createSyncComponent(name, componentFn, resolvedProps));
                     this.asyncPlaceholders.delete(placeholder);
                 } catch (error) {
                     this._replaceWithError(placeholder, error);
@@ -546,12 +2095,24 @@
         }
 
         _createSyncComponent(name, componentFn, props) {
+            const start = now();
             const { componentId, componentStates } = this._setupComponent(name);
             const context = this._createComponentContext(componentId, componentStates);
             const result = componentFn(props, context);
 
-            if (result?.then) return this._handleAsyncComponent(promisify(result), name, props, componentStates);
-            return this._processComponentResult(result, name, props, componentStates);
+            const element = result?.then ?
+                this._handleAsyncComponent(promisify(result), name, props, componentStates) :
+                this._processComponentResult(result, name, props, componentStates);
+            this._trackMount(element, componentId, name, start);
+            return element;
+        }
+
+        _trackMount(element, id, name, start) {
+            const devtools = this.juris.devtools;
+            if (!element || !devtools || devtools.hook.listenerCount() === 0) return;
+            const component = { id, name, element };
+            this.mounted.set(element, component);
+            emitDevtools(devtools, 'component:mount', { id, name, duration: now() - start });
         }
 
         _handleAsyncComponent(resultPromise, name, props, componentStates) {
@@ -560,10 +2121,7 @@
 
             resultPromise.then(result => {
                 try {
-                    const realElement = this._processComponentResult(result, name, props, componentStates);
-                    if (realElement && placeholder.parentNode) {
-                        placeholder.parentNode.replaceChild(realElement, placeholder);
-                    }
+                    this._renderIntoPlaceholder(placeholder, () => this._processComponentResult(result, name, props, componentStates));
                     this.asyncPlaceholders.delete(placeholder);
                 } catch (error) {
                     this._replaceWithError(placeholder, error);
@@ -607,13 +2165,17 @@
         }
 
         _handleAsyncRender(renderPromise, name, componentStates, indicator = null) {
-            const placeholder = indicator ? this.juris.domRenderer.render(indicator) : this._createPlaceholder(`Loading ${name}...`, 'juris-async-loading');
+            const placeholder = indicator && !this.juris.domRenderer.hydration ?
+                this.juris.domRenderer.render(indicator) :
+                this._createPlaceholder(`Loading ${name}...`, 'juris-async-loading');
 
             renderPromise.then(renderResult => {
                 try {
-                    const element = this.juris.domRenderer.render(renderResult);
-                    if (element && componentStates.size > 0) this.componentStates.set(element, componentStates);
-                    if (placeholder.parentNode) placeholder.parentNode.replaceChild(element, placeholder);
+                    this._renderIntoPlaceholder(placeholder, () => {
+                        const element = this.juris.domRenderer.render(renderResult);
+                        if (element && componentStates.size > 0) this.componentStates.set(element, componentStates);
+                        return element;
+                    });
                 } catch (error) {
                     this._replaceWithError(placeholder, error);
                 }
@@ -659,11 +2221,10 @@
 
             renderPromise.then(renderResult => {
                 try {
-                    const element = this.juris.domRenderer.render(renderResult);
+                    const element = this._renderIntoPlaceholder(placeholder, () => this.juris.domRenderer.render(renderResult));
                     if (element) {
                         this.instances.set(element, instance);
                         if (componentStates?.size > 0) this.componentStates.set(element, componentStates);
-                        if (placeholder.parentNode) placeholder.parentNode.replaceChild(element, placeholder);
 
                         if (instance.hooks.onMount) {
                             setTimeout(() => {
@@ -723,16 +2284,33 @@
                 if (normalizedRenderResult !== renderResult) {
                     normalizedRenderResult.then(newContent => {
                         this.juris.domRenderer.updateElementContent(element, newContent);
-                    }).catch(error => console.error(`Async re-render error in ${instance.name}:`, error));
+                    }).catch(error => {
+                        console.error(`Async re-render error in ${instance.name}:`, error);
+                        this.handleError(error, { element, component: instance.name, phase: 'async' });
+                    });
                 } else {
                     this.juris.domRenderer.updateElementContent(element, renderResult);
                 }
             } catch (error) {
                 console.error(`Re-render error in ${instance.name}:`, error);
+                this.handleError(error, { element, component: instance.name, phase: 'reactive' });
             }
         }
 
         cleanup(element) {
+            const suspense = this.suspenseBoundaries.get(element);
+            if (suspense) {
+                clearTimeout(suspense.timer);
+                suspense.revealed = true;
+                this.suspenseBoundaries.delete(element);
+            }
+
+            const boundary = this.boundaries.get(element);
+            if (boundary) {
+                this._releaseBoundary(boundary);
+                this.boundaries.delete(element);
+            }
+
             const instance = this.instances.get(element);
             if (instance?.hooks?.onUnmount) {
                 try {
@@ -761,6 +2339,12 @@
 
             if (this.asyncPlaceholders.has(element)) this.asyncPlaceholders.delete(element);
             this.instances.delete(element);
+
+            const mounted = this.mounted.get(element);
+            if (mounted) {
+                this.mounted.delete(element);
+                emitDevtools(this.juris.devtools, 'component:unmount', { id: mounted.id, name: mounted.name });
+            }
         }
 
         _createPlaceholder(text, className) {
@@ -768,9 +2352,31 @@
             placeholder.className = className;
             placeholder.textContent = text;
             placeholder.style.cssText = 'padding: 8px; background: #f0f0f0; border: 1px dashed #ccc; opacity: 0.7;';
+            if (this.currentBoundary) this.placeholderBoundaries.set(placeholder, this.currentBoundary);
+
+            // While hydrating, the server markup stands in for the placeholder
+            const renderer = this.juris.domRenderer;
+            if (renderer.hydration) {
+                const reservation = renderer._reserveHydration();
+                if (reservation) this.hydrationReservations.set(placeholder, reservation);
+                renderer.hydration.placed.add(placeholder);
+            }
             return placeholder;
         }
 
+        _renderIntoPlaceholder(placeholder, renderFn) {
+            const reservation = this.hydrationReservations.get(placeholder);
+            if (reservation) {
+                this.hydrationReservations.delete(placeholder);
+                return this.juris.domRenderer.hydrateReserved(reservation, renderFn);
+            }
+
+            const parent = placeholder.parentNode;
+            const element = parent ? this.juris.domRenderer._withNamespaceOf(parent, renderFn) : renderFn();
+            if (element && placeholder.parentNode) placeholder.parentNode.replaceChild(element, placeholder);
+            return element;
+        }
+
         _createErrorElement(error) {
             const element = document.createElement('div');
             element.style.cssText = 'color: red; border: 1px solid red; padding: 8px; background: #ffe6e6;';
@@ -779,8 +2385,13 @@
         }
 
         _replaceWithError(placeholder, error) {
-            const errorElement = this._createErrorElement(error);
-            if (placeholder.parentNode) placeholder.parentNode.replaceChild(errorElement, placeholder);
+            const pending = this.asyncPlaceholders.get(placeholder);
+            const info = { element: placeholder, component: pending?.name, phase: 'async' };
+            if (this.handleError(error, info, this.placeholderBoundaries.get(placeholder))) {
+                this.asyncPlaceholders.delete(placeholder);
+                return;
+            }
+            this._renderIntoPlaceholder(placeholder, () => this._createErrorElement(error));
             this.asyncPlaceholders.delete(placeholder);
         }
 
@@ -795,6 +2406,15 @@
         }
     }
 
+    // Delegated mode listens for these on the root in place of their non-bubbling originals
+    const BUBBLING_EQUIVALENTS = { focus: 'focusin', blur: 'focusout', mouseenter: 'mouseover', mouseleave: 'mouseout' };
+    // No bubbling equivalent: these keep a listener on the element itself
+    const NON_BUBBLING_EVENTS = new Set([
+        'load', 'unload', 'error', 'abort', 'scroll', 'resize', 'toggle', 'invalid',
+        'play', 'pause', 'ended', 'playing', 'timeupdate', 'volumechange', 'loadeddata', 'loadedmetadata', 'canplay',
+        'pointerenter', 'pointerleave'
+    ]);
+
     // DOM Renderer
     class DOMRenderer {
         constructor(juris) {
@@ -809,11 +2429,25 @@
             };
             this.elementCache = new Map();
             this.recyclePool = new Map();
+            // Parents already warned about duplicate or missing keys
+            this.keyWarnings = new WeakSet();
             this.renderMode = 'fine-grained';
             this.failureCount = 0;
             this.maxFailures = 3;
             this.asyncCache = new Map();
             this.asyncPlaceholders = new WeakMap();
+            this.hydration = null;
+            this.hydrationWarnings = true;
+            this.pendingHydration = new WeakSet();
+            // Namespace new elements are created in; null is HTML
+            this.namespace = null;
+            this.eventDelegation = false;
+            this.eventRoot = null;
+            // element -> Map(event type -> handler), read by the root listeners
+            this.delegatedHandlers = new WeakMap();
+            // root event type -> { listener, options }
+            this.rootListeners = new Map();
+            this.tapState = null;
         }
 
         setRenderMode(mode) {
@@ -824,6 +2458,23 @@
         }
 
         getRenderMode() { return this.renderMode; }
+
+        // One listener per event type on the render root instead of one per element.
+        // Only affects elements rendered after the switch.
+        setEventDelegation(enabled = true) {
+            this.eventDelegation = enabled === true;
+        }
+
+        setEventRoot(root) {
+            if (!root || root === this.eventRoot) return;
+            const previous = this._getEventRoot();
+            this.eventRoot = root;
+            this.rootListeners.forEach(({ listener, options }, type) => {
+                previous?.removeEventListener(type, listener, options);
+                root.addEventListener(type, listener, options);
+            });
+        }
+
         isFineGrained() { return this.renderMode === 'fine-grained'; }
         isBatchMode() { return this.renderMode === 'batch'; }
 
@@ -831,6 +2482,11 @@
             if (!vnode || typeof vnode !== 'object') return null;
 
             if (Array.isArray(vnode)) {
+                if (this.hydration) {
+                    const cursor = this._hydrationCursor();
+                    vnode.forEach(child => this._placeHydrated(cursor, this.render(child)));
+                    return null;
+                }
                 const fragment = document.createDocumentFragment();
                 vnode.forEach(child => {
                     const childElement = this.render(child);
@@ -845,14 +2501,16 @@
             if (this.juris.componentManager.components.has(tagName)) {
                 const parentTracking = this.juris.stateManager.currentTracking;
                 this.juris.stateManager.currentTracking = null;
-                const result = this.juris.componentManager.create(tagName, props);
+                const result = this.hydration ?
+                    this._hydrateComponent(tagName, props) :
+                    this.juris.componentManager.create(tagName, props);
                 this.juris.stateManager.currentTracking = parentTracking;
                 return result;
             }
 
             if (typeof tagName !== 'string' || tagName.length === 0) return null;
 
-            if (this.renderMode === 'fine-grained') return this._createElementFineGrained(tagName, props);
+            if (this.renderMode === 'fine-grained' || this.hydration) return this._createElementFineGrained(tagName, props);
 
             try {
                 const key = props.key || this._generateKey(tagName, props);
@@ -870,7 +2528,11 @@
         }
 
         _createElementFineGrained(tagName, props) {
-            const element = document.createElement(tagName);
+            const claimed = this.hydration ? this._claimHydrationNode(tagName) : null;
+            // Mismatch: build this subtree from scratch, it replaces the server node when placed
+            if (this.hydration && !claimed) return this._withoutHydration(() => this._createElementFineGrained(tagName, props));
+
+            const element = claimed || this._createDOMElement(tagName);
             const subscriptions = [], eventListeners = [];
 
             if (this._hasAsyncProps(props)) {
@@ -885,6 +2547,23 @@
             return element;
         }
 
+        _createDOMElement(tagName) {
+            const namespace = tagName === 'svg' ? NAMESPACES.svg : tagName === 'math' ? NAMESPACES.math : this.namespace;
+            return namespace ? document.createElementNS(namespace, tagName) : document.createElement(tagName);
+        }
+
+        // Children inherit the SVG/MathML namespace of their parent; foreignObject switches back to HTML
+        _withNamespaceOf(parent, fn) {
+            const previous = this.namespace;
+            const namespace = parent?.namespaceURI;
+            this.namespace = (namespace === NAMESPACES.svg && parent.localName !== 'foreignObject') || namespace === NAMESPACES.math ? namespace : null;
+            try {
+                return fn();
+            } finally {
+                this.namespace = previous;
+            }
+        }
+
         _hasAsyncProps(props) {
             return Object.entries(props).some(([key, value]) => !key.startsWith('on') && this._isPromiseLike(value));
         }
@@ -921,6 +2600,11 @@
         }
 
         _setPlaceholder(element, key) {
+            // Server markup already shows the resolved value
+            if (this.hydration) {
+                if (key === 'children') this.pendingHydration.add(element);
+                return;
+            }
             const placeholders = {
                 text: () => { element.textContent = '...'; element.classList.add('juris-async-loading'); },
                 children: () => {
@@ -950,7 +2634,7 @@
                     .catch(error => ({ key, error: error.message, success: false }))
             );
 
-            Promise.all(resolvePromises).then(results => {
+            promisify(Promise.all(resolvePromises)).then(results => {
                 const resolvedProps = {};
                 results.forEach(({ key, value, error, success }) => {
                     resolvedProps[key] = success ? value : { __asyncError: error };
@@ -986,16 +2670,19 @@
         }
 
         _handleAsyncChildren(element, children, subscriptions) {
+            if (this.pendingHydration.has(element)) return this._updateChildren(element, children);
             element.innerHTML = '';
-            if (Array.isArray(children)) {
-                children.forEach(child => {
-                    const childElement = this.render(child);
+            this._withNamespaceOf(element, () => {
+                if (Array.isArray(children)) {
+                    children.forEach(child => {
+                        const childElement = this.render(child);
+                        if (childElement) element.appendChild(childElement);
+                    });
+                } else if (children) {
+                    const childElement = this.render(children);
                     if (childElement) element.appendChild(childElement);
-                });
-            } else if (children) {
-                const childElement = this.render(children);
-                if (childElement) element.appendChild(childElement);
-            }
+                }
+            });
         }
 
         _generateAsyncCacheKey(asyncProps) {
@@ -1003,7 +2690,7 @@
         }
 
         _handleChildren(element, children, subscriptions) {
-            if (this.renderMode === 'fine-grained') {
+            if (this.renderMode === 'fine-grained' || this.hydration) {
                 this._handleChildrenFineGrained(element, children, subscriptions);
             } else {
                 this._handleChildrenOptimized(element, children, subscriptions);
@@ -1048,6 +2735,7 @@
                                 })
                                 .catch(error => {
                                     console.error('Error in async children function:', error);
+                                    this._reportError(error, element, 'async');
                                     useOptimizedPath = false;
                                 });
                         } else {
@@ -1070,6 +2758,7 @@
                         }
                     } catch (error) {
                         console.error('Error in children function:', error);
+                        this._reportError(error, element);
                         useOptimizedPath = false;
                         try {
                             this._updateChildren(element, []);
@@ -1122,21 +2811,28 @@
             return deepEquals && deepEquals(oldChildren, newChildren);
         }
 
+        // Keyed, in-place reconciliation: reused elements stay in the DOM and only those outside the
+        // longest increasing subsequence of their old positions are moved, so focus, selection,
+        // scroll position and running transitions survive list updates
         _reconcileChildren(parent, oldChildren, newChildren) {
             if (!Array.isArray(newChildren)) {
                 newChildren = newChildren ? [newChildren] : [];
             }
 
-            const newChildElements = [];
-            const fragment = document.createDocumentFragment();
-
             const oldChildrenByKey = new Map();
+            const oldIndex = new Map();
             oldChildren.forEach((child, index) => {
-                const key = child._jurisKey || `auto-${index}`;
-                oldChildrenByKey.set(key, child);
+                const key = child._jurisKey ?? `auto-${index}`;
+                if (!oldChildrenByKey.has(key)) oldChildrenByKey.set(key, []);
+                oldChildrenByKey.get(key).push(child);
+                oldIndex.set(child, index);
             });
 
             const usedElements = new Set();
+            const newChildElements = [];
+            const explicitKeys = new Set();
+            const duplicateKeys = new Set();
+            let unkeyed = 0;
 
             newChildren.forEach((newChild, index) => {
                 if (!newChild || typeof newChild !== 'object') return;
@@ -1144,44 +2840,76 @@
                 const tagName = Object.keys(newChild)[0];
                 const props = newChild[tagName] || {};
 
-                const key = props.key || this._generateKey(tagName, props, index);
-
-                const existingElement = oldChildrenByKey.get(key);
-
-                if (existingElement &&
-                    !usedElements.has(existingElement) &&
-                    this._canReuseElement(existingElement, tagName, props) &&
-                    !this._wouldCreateCircularReference(parent, existingElement)) {
-
-                    if (existingElement.parentNode) {
-                        existingElement.parentNode.removeChild(existingElement);
-                    }
+                if (props.key !== undefined && props.key !== null) {
+                    if (explicitKeys.has(props.key)) duplicateKeys.add(props.key);
+                    explicitKeys.add(props.key);
+                } else {
+                    unkeyed++;
+                }
 
+                const key = props.key ?? this._generateKey(tagName, props, index);
+                const signature = this._hashProps(props);
+                const existingElement = oldChildrenByKey.get(key)?.find(candidate =>
+                    !usedElements.has(candidate) &&
+                    this._canReuseElement(candidate, tagName, props) &&
+                    // Reuse keeps the element as rendered, so changed static props render a new one
+                    (candidate._jurisProps === undefined || candidate._jurisProps === signature) &&
+                    // An element already under parent can't be an ancestor of it
+                    (candidate.parentNode === parent || !this._wouldCreateCircularReference(parent, candidate)));
+
+                if (existingElement) {
                     this._updateElementProperties(existingElement, props);
                     newChildElements.push(existingElement);
-                    fragment.appendChild(existingElement);
                     usedElements.add(existingElement);
-                    oldChildrenByKey.delete(key);
                 } else {
-                    const newElement = this.render(newChild);
-                    if (newElement && !this._wouldCreateCircularReference(parent, newElement)) {
-                        newElement._jurisKey = key;
-                        newChildElements.push(newElement);
-                        fragment.appendChild(newElement);
-                    }
+                    let newElement = this._withNamespaceOf(parent, () => this.render(newChild));
+                    // The element cache hands back the same node for a repeated key
+                    if (newElement && usedElements.has(newElement)) newElement = this._withNamespaceOf(parent, () => this._createElementFineGrained(tagName, props));
+                    if (!newElement || this._wouldCreateCircularReference(parent, newElement)) return;
+                    // Fragments can't be moved later, so track their nodes individually
+                    const nodes = newElement.nodeType === 11 ? Array.from(newElement.childNodes) : [newElement];
+                    nodes.forEach((node, i) => {
+                        if (nodes.length > 1) node._jurisKey = `${key}#${i}`;
+                        else this._markKeyed(node, key, tagName, signature);
+                        newChildElements.push(node);
+                        usedElements.add(node);
+                    });
                 }
             });
 
-            oldChildrenByKey.forEach(unusedChild => {
-                if (!usedElements.has(unusedChild)) {
-                    this._recycleElement(unusedChild);
+            if (isDevelopment && !this.keyWarnings.has(parent)) {
+                if (duplicateKeys.size > 0) {
+                    this.keyWarnings.add(parent);
+                    console.warn(`Duplicate keys in children of <${parent.tagName?.toLowerCase()}>: ${Array.from(duplicateKeys).join(', ')}. Elements with the same key are matched by position.`);
+                } else if (explicitKeys.size > 0 && unkeyed > 0) {
+                    this.keyWarnings.add(parent);
+                    console.warn(`${unkeyed} of ${explicitKeys.size + unkeyed} children of <${parent.tagName?.toLowerCase()}> have no key; give every item in a keyed list a key.`);
                 }
+            }
+
+            oldChildren.forEach(child => {
+                if (!usedElements.has(child)) this._recycleElement(child);
             });
 
             try {
-                parent.textContent = '';
-                if (fragment.hasChildNodes()) {
-                    parent.appendChild(fragment);
+                // First render into a parent that already has content replaces it, as before
+                if (oldChildren.length === 0 && parent.firstChild) parent.textContent = '';
+
+                const sources = newChildElements.map(child => oldIndex.has(child) && child.parentNode === parent ? oldIndex.get(child) : -1);
+                const stable = this._longestIncreasingSubsequence(sources);
+                let anchor = null;
+                for (let i = newChildElements.length - 1; i >= 0; i--) {
+                    const child = newChildElements[i];
+                    if (!stable.has(i)) parent.insertBefore(child, anchor);
+                    anchor = child;
+                }
+
+                // Drop nodes that were never part of this list (e.g. left by a fallback render)
+                if (parent.childNodes.length !== newChildElements.length) {
+                    const keep = new Set(newChildElements);
+                    Array.from(parent.childNodes).forEach(node => {
+                        if (!keep.has(node)) parent.removeChild(node);
+                    });
                 }
             } catch (error) {
                 console.error('Error in reconcileChildren:', error);
@@ -1200,6 +2928,32 @@
             return newChildElements;
         }
 
+        // Indices of a longest strictly increasing run of sources (ignoring -1), O(n log n)
+        _longestIncreasingSubsequence(sources) {
+            const tails = [];
+            const previous = new Array(sources.length);
+            sources.forEach((value, i) => {
+                if (value < 0) return;
+                let low = 0;
+                let high = tails.length;
+                while (low < high) {
+                    const mid = (low + high) >> 1;
+                    if (sources[tails[mid]] < value) low = mid + 1;
+                    else high = mid;
+                }
+                previous[i] = low > 0 ? tails[low - 1] : -1;
+                tails[low] = i;
+            });
+
+            const result = new Set();
+            let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+            while (index !== undefined && index >= 0) {
+                result.add(index);
+                index = previous[index];
+            }
+            return result;
+        }
+
         _wouldCreateCircularReference(parent, child) {
             if (!parent || !child) return false;
             if (parent === child) return true;
@@ -1238,6 +2992,12 @@
                 element.parentNode.removeChild(element);
             }
 
+            // Only batch mode draws elements from the pool
+            if (this.renderMode === 'fine-grained') {
+                this.cleanup(element);
+                return;
+            }
+
             if (!this.recyclePool.has(tagName)) {
                 this.recyclePool.set(tagName, []);
             }
@@ -1253,6 +3013,17 @@
         }
 
         _handleAsyncChildrenDirect(element, childrenPromise) {
+            if (this.hydration) {
+                this.pendingHydration.add(element);
+                promisify(childrenPromise)
+                    .then(resolvedChildren => this._updateChildren(element, resolvedChildren))
+                    .catch(error => {
+                        console.error('Async children failed:', error);
+                        this._reportError(error, element, 'async');
+                    });
+                return;
+            }
+
             const placeholder = document.createElement('div');
             placeholder.className = 'juris-async-loading';
             placeholder.textContent = 'Loading content...';
@@ -1267,6 +3038,7 @@
                 })
                 .catch(error => {
                     console.error('Async children failed:', error);
+                    if (this._reportError(error, element, 'async')) return;
                     placeholder.textContent = `Error loading content: ${error.message}`;
                     placeholder.className = 'juris-async-error';
                 });
@@ -1279,6 +3051,7 @@
                 try {
                     const result = childrenFn();
                     if (this._isPromiseLike(result)) {
+                        if (this.hydration && !isInitialized) this.pendingHydration.add(element);
                         promisify(result)
                             .then(resolvedResult => {
                                 if (resolvedResult !== "ignore" && (!isInitialized || !deepEquals(resolvedResult, lastChildrenResult))) {
@@ -1287,7 +3060,10 @@
                                     isInitialized = true;
                                 }
                             })
-                            .catch(error => console.error('Error in async reactive children:', error));
+                            .catch(error => {
+                                console.error('Error in async reactive children:', error);
+                                this._reportError(error, element, 'async');
+                            });
                     } else {
                         if (result !== "ignore" && (!isInitialized || !deepEquals(result, lastChildrenResult))) {
                             this._updateChildren(element, result);
@@ -1297,6 +3073,7 @@
                     }
                 } catch (error) {
                     console.error('Error in reactive children function:', error);
+                    this._reportError(error, element);
                 }
             };
 
@@ -1306,32 +3083,81 @@
         _updateChildren(element, children) {
             if (children === "ignore") return;
 
+            if (this.hydration || this.pendingHydration.has(element)) {
+                this.pendingHydration.delete(element);
+                if (this.hydration) this._hydrateChildren(element, children);
+                else this._withHydration(() => this._hydrateChildren(element, children));
+                return;
+            }
+
+            if (this._isKeyedList(children)) {
+                try {
+                    this._reconcileChildren(element, Array.from(element.childNodes), children);
+                    return;
+                } catch (error) {
+                    console.warn('Reconciliation failed, falling back to safe rendering:', error.message);
+                }
+            }
+
             Array.from(element.children).forEach(child => this.cleanup(child));
             element.textContent = '';
 
             const fragment = document.createDocumentFragment();
-            if (Array.isArray(children)) {
-                children.forEach(child => {
-                    const childElement = this.render(child);
+            this._withNamespaceOf(element, () => {
+                if (Array.isArray(children)) {
+                    children.forEach(child => {
+                        const childElement = this.render(child);
+                        if (childElement) fragment.appendChild(childElement);
+                    });
+                } else if (children) {
+                    const childElement = this.render(children);
                     if (childElement) fragment.appendChild(childElement);
-                });
-            } else if (children) {
-                const childElement = this.render(children);
-                if (childElement) fragment.appendChild(childElement);
-            }
+                }
+            });
 
             if (fragment.hasChildNodes()) element.appendChild(fragment);
         }
 
+        // Lists of element vnodes with keys are reconciled in place instead of rebuilt
+        _isKeyedList(children) {
+            if (!Array.isArray(children) || children.length === 0) return false;
+            let keyed = false;
+            for (const child of children) {
+                if (!child || typeof child !== 'object' || Array.isArray(child)) return false;
+                const props = child[Object.keys(child)[0]];
+                if (props && typeof props === 'object' && props.key !== undefined && props.key !== null) keyed = true;
+            }
+            return keyed;
+        }
+
+        _markKeyed(node, key, tagName, signature) {
+            node._jurisKey = key;
+            if (node.nodeType !== 1) return;
+            // Components are matched by name, not by the tag they rendered
+            node._jurisTag = tagName;
+            node._jurisProps = signature;
+        }
+
         _handleText(element, text, subscriptions) {
             if (typeof text === 'function') this._handleReactiveText(element, text, subscriptions);
             else if (this._isPromiseLike(text)) this._handleAsyncTextDirect(element, text);
-            else element.textContent = text;
+            else this._setText(element, text);
+        }
+
+        _setText(element, text) {
+            if (this.hydration) {
+                const expected = text == null ? '' : String(text);
+                if (element.textContent === expected) return;
+                this._hydrationWarning(`text mismatch, server "${element.textContent}" vs client "${expected}"`, element);
+            }
+            element.textContent = text;
         }
 
         _handleAsyncTextDirect(element, textPromise) {
-            element.textContent = 'Loading...';
-            element.classList.add('juris-async-loading');
+            if (!this.hydration) {
+                element.textContent = 'Loading...';
+                element.classList.add('juris-async-loading');
+            }
 
             promisify(textPromise)
                 .then(resolvedText => {
@@ -1340,6 +3166,7 @@
                 })
                 .catch(error => {
                     console.error('Async text failed:', error);
+                    if (this._reportError(error, element, 'async')) return;
                     element.textContent = `Error: ${error.message}`;
                     element.classList.add('juris-async-error');
                 });
@@ -1360,16 +3187,20 @@
                                     isInitialized = true;
                                 }
                             })
-                            .catch(error => console.error('Error in async reactive text:', error));
+                            .catch(error => {
+                                console.error('Error in async reactive text:', error);
+                                this._reportError(error, element, 'async');
+                            });
                     } else {
                         if (!isInitialized || result !== lastTextValue) {
-                            element.textContent = result;
+                            this._setText(element, result);
                             lastTextValue = result;
                             isInitialized = true;
                         }
                     }
                 } catch (error) {
                     console.error('Error in reactive text function:', error);
+                    this._reportError(error, element);
                 }
             };
 
@@ -1412,7 +3243,10 @@
                                     }
                                 }
                             })
-                            .catch(error => console.error('Error in async reactive style:', error));
+                            .catch(error => {
+                                console.error('Error in async reactive style:', error);
+                                this._reportError(error, element, 'async');
+                            });
                     } else {
                         if (!isInitialized || !deepEquals(result, lastStyleValue)) {
                             if (typeof result === 'object') {
@@ -1424,6 +3258,7 @@
                     }
                 } catch (error) {
                     console.error('Error in reactive style function:', error);
+                    this._reportError(error, element);
                 }
             };
 
@@ -1432,7 +3267,7 @@
 
         _createElementOptimized(tagName, props, key) {
             let element = this._getRecycledElement(tagName);
-            if (!element) element = document.createElement(tagName);
+            if (!element) element = this._createDOMElement(tagName);
 
             if (key) {
                 this.elementCache.set(key, element);
@@ -1465,6 +3300,7 @@
         }
 
         _handleEvent(element, eventName, handler, eventListeners) {
+            if (this.eventDelegation && this._delegateEvent(element, eventName, handler)) return;
             if (eventName === 'onclick') {
                 element.style.touchAction = 'manipulation';
                 element.style.webkitTapHighlightColor = 'transparent';
@@ -1516,6 +3352,106 @@
             }
         }
 
+        // Reactive and async render errors go to the enclosing ErrorBoundary, if any
+        _reportError(error, element, phase = 'reactive') {
+            return this.juris.componentManager.handleError(error, { element, phase });
+        }
+
+        _getEventRoot() {
+            return this.eventRoot || (typeof document !== 'undefined' ? document : null);
+        }
+
+        // Returns false when the event has to stay on the element: it does not bubble,
+        // or the element already lives outside the render root (DOMEnhancer targets)
+        _delegateEvent(element, eventName, handler) {
+            const root = this._getEventRoot();
+            const type = this.eventMap[eventName.toLowerCase()] || eventName.slice(2).toLowerCase();
+            if (!root || NON_BUBBLING_EVENTS.has(type)) return false;
+            if (element.isConnected && root !== document && !root.contains(element)) return false;
+
+            if (type === 'click') {
+                element.style.touchAction = 'manipulation';
+                element.style.webkitTapHighlightColor = 'transparent';
+                element.style.webkitTouchCallout = 'none';
+                this._ensureRootListener('touchstart', e => this._onDelegatedTouch(e), { passive: true });
+                this._ensureRootListener('touchmove', e => this._onDelegatedTouch(e), { passive: true });
+                this._ensureRootListener('touchend', e => this._onDelegatedTouch(e), { passive: false });
+            }
+            this._ensureRootListener(BUBBLING_EQUIVALENTS[type] || type, e => this._dispatchDelegated(e));
+
+            let handlers = this.delegatedHandlers.get(element);
+            if (!handlers) this.delegatedHandlers.set(element, handlers = new Map());
+            handlers.set(type, handler);
+            return true;
+        }
+
+        _ensureRootListener(type, listener, options) {
+            if (this.rootListeners.has(type)) return;
+            this._getEventRoot().addEventListener(type, listener, options);
+            this.rootListeners.set(type, { listener, options });
+        }
+
+        // Walk from the target up to the root, mirroring native bubbling:
+        // currentTarget follows the walk and stopPropagation ends it after the current element
+        _dispatchDelegated(event) {
+            const root = this._getEventRoot();
+            const related = event.relatedTarget;
+            let stopped = false, stoppedImmediate = false, current = null;
+            const { stopPropagation, stopImmediatePropagation } = event;
+            event.stopPropagation = function () { stopped = true; return stopPropagation.call(this); };
+            event.stopImmediatePropagation = function () { stopped = stoppedImmediate = true; return stopImmediatePropagation.call(this); };
+            Object.defineProperty(event, 'currentTarget', { configurable: true, get: () => current });
+
+            const invoke = (handler) => {
+                try { handler(event); } catch (error) { console.error(`Error in delegated '${event.type}' handler:`, error); }
+            };
+
+            try {
+                for (let node = event.target; node; node = node === root ? null : node.parentNode) {
+                    const handlers = this.delegatedHandlers.get(node);
+                    if (!handlers) continue;
+                    current = node;
+                    if (!stopped && handlers.has(event.type)) invoke(handlers.get(event.type));
+                    if (stoppedImmediate) break;
+
+                    // Non-bubbling equivalents fire once per element, regardless of stopPropagation
+                    if (event.type === 'focusin' && node === event.target && handlers.has('focus')) invoke(handlers.get('focus'));
+                    else if (event.type === 'focusout' && node === event.target && handlers.has('blur')) invoke(handlers.get('blur'));
+                    else if (event.type === 'mouseover' && handlers.has('mouseenter') && !node.contains(related)) invoke(handlers.get('mouseenter'));
+                    else if (event.type === 'mouseout' && handlers.has('mouseleave') && !node.contains(related)) invoke(handlers.get('mouseleave'));
+                }
+            } finally {
+                delete event.currentTarget;
+                delete event.stopPropagation;
+                delete event.stopImmediatePropagation;
+            }
+        }
+
+        // Tap-to-click for delegated onclick handlers, same thresholds as the per-element listeners
+        _onDelegatedTouch(event) {
+            const touch = event.touches?.[0];
+            if (event.type === 'touchstart') {
+                this.tapState = { time: Date.now(), moved: false, x: touch?.clientX || 0, y: touch?.clientY || 0 };
+            } else if (event.type === 'touchmove') {
+                if (this.tapState && touch && (Math.abs(touch.clientX - this.tapState.x) > 10 || Math.abs(touch.clientY - this.tapState.y) > 10)) {
+                    this.tapState.moved = true;
+                }
+            } else {
+                const tap = this.tapState;
+                this.tapState = null;
+                if (!tap || tap.moved || Date.now() - tap.time >= 300) return;
+                const root = this._getEventRoot();
+                for (let node = event.target; node; node = node === root ? null : node.parentNode) {
+                    const handler = this.delegatedHandlers.get(node)?.get('click');
+                    if (!handler) continue;
+                    event.preventDefault();
+                    Object.defineProperty(event, 'currentTarget', { configurable: true, get: () => node });
+                    try { handler(event); } finally { delete event.currentTarget; }
+                    return;
+                }
+            }
+        }
+
         _handleReactiveAttribute(element, attr, valueFn, subscriptions) {
             let lastValue = null, isInitialized = false;
 
@@ -1531,7 +3467,10 @@
                                     isInitialized = true;
                                 }
                             })
-                            .catch(error => console.error(`Error in async reactive attribute '${attr}':`, error));
+                            .catch(error => {
+                                console.error(`Error in async reactive attribute '${attr}':`, error);
+                                this._reportError(error, element, 'async');
+                            });
                     } else {
                         if (!isInitialized || !deepEquals(result, lastValue)) {
                             this._setStaticAttribute(element, attr, result);
@@ -1541,6 +3480,7 @@
                     }
                 } catch (error) {
                     console.error(`Error in reactive attribute '${attr}':`, error);
+                    this._reportError(error, element);
                 }
             };
 
@@ -1559,7 +3499,8 @@
                 return;
             }
 
-            if (attr === 'className') element.className = value;
+            if (element.namespaceURI !== NAMESPACES.html) this._setForeignAttribute(element, attr, value);
+            else if (attr === 'className') element.className = value;
             else if (attr === 'htmlFor') element.setAttribute('for', value);
             else if (attr === 'tabIndex') element.tabIndex = value;
             else if (attr.startsWith('data-') || attr.startsWith('aria-')) element.setAttribute(attr, value);
@@ -1577,6 +3518,21 @@
             }
         }
 
+        // SVG/MathML properties are read-only animated values, so these always go through attributes
+        _setForeignAttribute(element, attr, value) {
+            const name = foreignAttributeName(attr);
+            const separator = name.indexOf(':');
+            const namespace = name === 'xmlns' ? NAMESPACES.xmlns : separator > 0 ? NAMESPACES[name.slice(0, separator)] : null;
+            if (value === null || value === undefined) {
+                if (namespace) element.removeAttributeNS(namespace, name.slice(separator + 1));
+                else element.removeAttribute(name);
+            } else if (namespace) {
+                element.setAttributeNS(namespace, name, value);
+            } else {
+                element.setAttribute(name, value);
+            }
+        }
+
         _createReactiveUpdate(element, updateFn, subscriptions) {
             const dependencies = this.juris.stateManager.startTracking();
             const originalTracking = this.juris.stateManager.currentTracking;
@@ -1596,6 +3552,197 @@
             });
         }
 
+        // Hydration: walk existing server markup, claiming nodes instead of creating them
+        hydrate(vnode, container, options = {}) {
+            this.hydrationWarnings = options.warnings !== false;
+            this._withHydration(() => this._hydrateChildren(container, vnode));
+        }
+
+        _withHydration(fn) {
+            const previous = this.hydration;
+            this.hydration = { stack: [], placed: new WeakSet() };
+            try {
+                return fn();
+            } finally {
+                this.hydration = previous;
+            }
+        }
+
+        _withoutHydration(fn) {
+            const previous = this.hydration;
+            this.hydration = null;
+            try {
+                return fn();
+            } finally {
+                this.hydration = previous;
+            }
+        }
+
+        _hydrationCursor() {
+            const stack = this.hydration.stack;
+            return stack[stack.length - 1];
+        }
+
+        _hydrationWarning(message, node) {
+            if (this.hydrationWarnings) console.warn(`Juris hydration: ${message}`, node);
+        }
+
+        _isHydrationMarker(node, closing = false, name = null) {
+            if (!node || node.nodeType !== 8) return false;
+            const prefix = closing ? '/juris:' : 'juris:';
+            return name ? node.data === prefix + name : node.data.startsWith(prefix);
+        }
+
+        // Next node the client tree can map to; skips whitespace and plain comments
+        _nextHydratableNode(cursor) {
+            let node = cursor.node;
+            while (node && node !== cursor.end) {
+                const isWhitespace = node.nodeType === 3 && !node.data.trim();
+                const isPlainComment = node.nodeType === 8 && !this._isHydrationMarker(node) && !this._isHydrationMarker(node, true);
+                if (!isWhitespace && !isPlainComment) break;
+                node = node.nextSibling;
+            }
+            cursor.node = node;
+            return node && node !== cursor.end ? node : null;
+        }
+
+        _claimHydrationNode(tagName) {
+            const cursor = this._hydrationCursor();
+            if (!cursor) return null;
+            const node = this._nextHydratableNode(cursor);
+            if (node?.nodeType === 1 && node.nodeName.toLowerCase() === tagName.toLowerCase()) {
+                cursor.node = node.nextSibling;
+                this.hydration.placed.add(node);
+                return node;
+            }
+            return null;
+        }
+
+        // Put a client-only element where the cursor points, replacing the mismatched server node
+        _placeHydrated(cursor, element) {
+            if (!element || this.hydration.placed.has(element)) return;
+
+            const node = this._nextHydratableNode(cursor);
+            if (node) {
+                this._hydrationWarning(`replacing server <${node.nodeName.toLowerCase()}> with client-rendered content`, node);
+                cursor.node = node.nextSibling;
+                this.cleanup(node);
+                cursor.parent.replaceChild(element, node);
+            } else {
+                this._hydrationWarning('inserting client-rendered content missing from server markup', cursor.parent);
+                cursor.parent.insertBefore(element, cursor.node);
+            }
+            if (element.nodeType === 1) this.hydration.placed.add(element);
+        }
+
+        _removeUnclaimed(cursor) {
+            let node;
+            while ((node = this._nextHydratableNode(cursor))) {
+                if (!this._isHydrationMarker(node) && !this._isHydrationMarker(node, true)) {
+                    this._hydrationWarning(`removing server <${node.nodeName.toLowerCase()}> not rendered on the client`, node);
+                }
+                cursor.node = node.nextSibling;
+                node.parentNode.removeChild(node);
+            }
+        }
+
+        _hydrateChildren(parent, children, startNode = parent.firstChild, endNode = null) {
+            const cursor = { parent, node: startNode, end: endNode };
+            this.hydration.stack.push(cursor);
+            try {
+                const list = Array.isArray(children) ? children : (children ? [children] : []);
+                const keyed = this._isKeyedList(list);
+                this._withNamespaceOf(parent, () => list.forEach((child, index) => {
+                    const node = this.render(child);
+                    // Let later updates reconcile against the adopted server nodes
+                    if (keyed && node?.nodeType === 1) {
+                        const tagName = Object.keys(child)[0], props = child[tagName] || {};
+                        this._markKeyed(node, props.key ?? this._generateKey(tagName, props, index), tagName, this._hashProps(props));
+                    }
+                    this._placeHydrated(cursor, node);
+                }));
+                this._removeUnclaimed(cursor);
+            } finally {
+                this.hydration.stack.pop();
+            }
+        }
+
+        _findClosingHydrationMarker(start, name) {
+            let depth = 0;
+            for (let node = start.nextSibling; node; node = node.nextSibling) {
+                if (this._isHydrationMarker(node, false, name)) depth++;
+                else if (this._isHydrationMarker(node, true, name)) {
+                    if (depth === 0) return node;
+                    depth--;
+                }
+            }
+            return null;
+        }
+
+        // Components wrapped in <!--juris:Name--> markers hydrate inside their own range
+        _hydrateComponent(name, props) {
+            const cursor = this._hydrationCursor();
+            const start = cursor ? this._nextHydratableNode(cursor) : null;
+            const end = this._isHydrationMarker(start, false, name) ? this._findClosingHydrationMarker(start, name) : null;
+
+            if (!end) {
+                if (this._isHydrationMarker(start)) this._hydrationWarning(`expected component ${name}, found ${start.data}`, start);
+                return this.juris.componentManager.create(name, props);
+            }
+
+            cursor.node = end.nextSibling;
+            const range = { parent: cursor.parent, node: start.nextSibling, end, start, component: true };
+            this.hydration.stack.push(range);
+            try {
+                const result = this.juris.componentManager.create(name, props);
+                // Async components reserve the range and finish hydrating when they resolve
+                if (range.reserved) return result;
+                this._placeHydrated(range, result);
+                this._removeUnclaimed(range);
+                start.parentNode?.removeChild(start);
+                end.parentNode?.removeChild(end);
+                return result;
+            } finally {
+                this.hydration.stack.pop();
+            }
+        }
+
+        // Reserve the server nodes an async component will hydrate once it resolves
+        _reserveHydration() {
+            const cursor = this._hydrationCursor();
+            if (!cursor) return null;
+            if (cursor.component) {
+                cursor.reserved = true;
+                const reservation = { parent: cursor.parent, node: cursor.node, end: cursor.end, start: cursor.start };
+                cursor.node = cursor.end;
+                return reservation;
+            }
+            const node = this._nextHydratableNode(cursor);
+            if (!node) return null;
+            cursor.node = node.nextSibling;
+            return { parent: cursor.parent, node, single: true };
+        }
+
+        hydrateReserved(reservation, renderFn) {
+            return this._withHydration(() => {
+                const end = reservation.single ? reservation.node.nextSibling : reservation.end;
+                const cursor = { parent: reservation.parent, node: reservation.node, end };
+                this.hydration.stack.push(cursor);
+                try {
+                    const element = renderFn();
+                    this._placeHydrated(cursor, element);
+                    if (!reservation.single) {
+                        this._removeUnclaimed(cursor);
+                        reservation.start?.parentNode?.removeChild(reservation.start);
+                        reservation.end?.parentNode?.removeChild(reservation.end);
+                    }
+                    return element;
+                } finally {
+                    this.hydration.stack.pop();
+                }
+            });
+        }
+
         updateElementContent(element, newContent) {
             this._updateChildren(element, [newContent]);
         }
@@ -1613,6 +3760,7 @@
                 });
                 this.subscriptions.delete(element);
             }
+            this.delegatedHandlers.delete(element);
 
             if (element._jurisKey) this.elementCache.delete(element._jurisKey);
             if (this.asyncPlaceholders.has(element)) this.asyncPlaceholders.delete(element);
@@ -1663,7 +3811,7 @@
 
         _resetElement(element) {
             element.textContent = '';
-            element.className = '';
+            element.removeAttribute('class');
             element.removeAttribute('style');
             const attributesToKeep = ['id', 'data-juris-key'];
             Array.from(element.attributes).forEach(attr => {
@@ -1672,7 +3820,7 @@
         }
 
         _canReuseElement(element, tagName, props) {
-            return element.tagName.toLowerCase() === tagName.toLowerCase();
+            return element.nodeType === 1 && (element._jurisTag || element.tagName).toLowerCase() === tagName.toLowerCase();
         }
 
         _updateElementProperties(element, props) {
@@ -2178,6 +4326,23 @@
             this.layout = config.layout;
 
             this.stateManager = new StateManager(config.states || {}, config.middleware || []);
+            const hook = config.devtools === false ? null : getDevtoolsHook();
+            this.devtools = hook ? { hook, appId: hook.register(this) } : null;
+            this.stateManager.devtools = this.devtools;
+            this.errorHandlers = new Set();
+            if (typeof config.onError === 'function') this.errorHandlers.add(config.onError);
+            this.validator = null;
+            if (config.schemas || config.validation) this.enableValidation({ ...config.validation, schemas: config.schemas });
+            this.persistence = null;
+            // Rehydrate before history starts recording, so restored state isn't an undo step
+            if (config.persist) this.persist(config.persist);
+            this.history = null;
+            if (config.history) this.enableHistory(config.history === true ? {} : config.history);
+            this.stateSync = null;
+            if (config.sync) this.enableSync(config.sync);
+            if (config.computed) {
+                Object.entries(config.computed).forEach(([path, fn]) => this.stateManager.defineComputed(path, fn));
+            }
             this.headlessManager = new HeadlessManager(this);
             this.componentManager = new ComponentManager(this);
             this.domRenderer = new DOMRenderer(this);
@@ -2197,6 +4362,8 @@
             if (config.renderMode === 'fine-grained') this.domRenderer.setRenderMode('fine-grained');
             else if (config.renderMode === 'batch') this.domRenderer.setRenderMode('batch');
 
+            if (config.eventDelegation === true) this.domRenderer.setEventDelegation(true);
+
             if (config.legacyMode === true) {
                 console.warn('legacyMode is deprecated. Use renderMode: "fine-grained" instead.');
                 this.domRenderer.setRenderMode('fine-grained');
@@ -2293,6 +4460,7 @@
         getRenderMode() { return this.domRenderer.getRenderMode(); }
         isFineGrained() { return this.domRenderer.isFineGrained(); }
         isBatchMode() { return this.domRenderer.isBatchMode(); }
+        setEventDelegation(enabled) { this.domRenderer.setEventDelegation(enabled); }
 
         enableLegacyMode() {
             console.warn('enableLegacyMode() is deprecated. Use setRenderMode("fine-grained") instead.');
@@ -2316,21 +4484,99 @@
         }
 
         getHeadlessStatus() { return this.headlessManager.getStatus(); }
+
+        enableHistory(options = {}) {
+            if (!this.stateManager.history) this.stateManager.history = new StateHistory(this.stateManager, options);
+            this.history = this.stateManager.history;
+            return this.history;
+        }
+
+        disableHistory() {
+            this.stateManager.history = null;
+            this.history = null;
+        }
+
+        enableValidation(options = {}) {
+            if (!this.validator) {
+                this.validator = new StateValidator(options);
+                // First, so later middleware sees validated values
+                this.stateManager.middleware.unshift(this.validator.middleware());
+            } else {
+                Object.entries(options.schemas || {}).forEach(([path, schema]) => this.validator.define(path, schema));
+            }
+            return this.validator;
+        }
+
+        defineSchema(path, schema) {
+            return this.enableValidation().define(path, schema);
+        }
+
+        enableSync(options = {}) {
+            this.stateSync?.destroy();
+            this.stateSync = new StateSync(this.stateManager, options).start();
+            return this.stateSync;
+        }
+
+        disableSync() {
+            this.stateSync?.destroy();
+            this.stateSync = null;
+        }
+
+        transaction(fn) { return this.stateManager.batch(fn); }
+
+        persist(options = {}) {
+            this.persistence?.destroy();
+            this.persistence = new StatePersistence(this.stateManager, options).start();
+            return this.persistence;
+        }
+        defineComputed(path, fn) { return this.stateManager.defineComputed(path, fn); }
+        onPatch(callback) { return this.stateManager.onPatch(callback); }
+
+        // Global error handler: sees every render error, caught by an ErrorBoundary or not
+        onError(handler) {
+            this.errorHandlers.add(handler);
+            return () => this.errorHandlers.delete(handler);
+        }
+
+        _reportError(error, info = {}) {
+            emitDevtools(this.devtools, 'error', { message: error?.message || String(error), component: info.component, phase: info.phase, handled: info.handled });
+            this.errorHandlers.forEach(handler => {
+                try { handler(error, info); } catch (handlerError) { console.error('Error in onError handler:', handlerError); }
+            });
+        }
+        applyPatch(ops, context) { return this.stateManager.applyPatch(ops, context); }
+        getSnapshot() { return this.stateManager.getSnapshot(); }
         objectToHtml(vnode) { return this.domRenderer.render(vnode); }
 
         render(container = '#app') {
             const containerEl = typeof container === 'string' ? document.querySelector(container) : container;
             if (!containerEl) return;
 
+            this.domRenderer.setEventRoot(containerEl);
+            const start = now();
             // Check if hydration mode is enabled via state
             const isHydration = this.getState('isHydration', false);
 
             if (isHydration) {
                 return this._renderWithHydration(containerEl);
             } else {
-                return this._renderImmediate(containerEl);
+                const result = this._renderImmediate(containerEl);
+                emitDevtools(this.devtools, 'render', { mode: 'render', duration: now() - start });
+                return result;
             }
         }
+        // Attach to server-rendered markup instead of rebuilding it
+        hydrate(container = '#app', options = {}) {
+            const containerEl = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!containerEl) return;
+
+            this.domRenderer.setEventRoot(containerEl);
+            if (!containerEl.firstChild) return this._renderImmediate(containerEl);
+            const start = now();
+            this.domRenderer.hydrate(this.layout, containerEl, options);
+            emitDevtools(this.devtools, 'render', { mode: 'hydrate', duration: now() - start });
+        }
+
         _renderImmediate = function (containerEl) {
             containerEl.innerHTML = '';
             const element = this.domRenderer.render(this.layout);
@@ -2379,12 +4625,26 @@
         destroy() {
             this.cleanup();
             this.domEnhancer.destroy();
+            this.persistence?.destroy();
+            this.persistence = null;
+            this.stateSync?.destroy();
+            this.stateSync = null;
             this.stateManager.subscribers.clear();
             this.stateManager.externalSubscribers.clear();
+            this.stateManager.patternSubscribers.clear();
+            if (this.devtools) {
+                this.devtools.hook.unregister?.(this.devtools.appId);
+                this.devtools = null;
+                this.stateManager.devtools = null;
+            }
             this.componentManager.components.clear();
             this.headlessManager.components.clear();
         }
     }
+    Juris.REJECT = REJECT_STATE;
+    Juris.ErrorBoundary = ErrorBoundary;
+    Juris.Suspense = Suspense;
+    Juris.diff = (a, b) => diff(a, b);
 
     // Export
     if (typeof window !== 'undefined') {
@@ -2395,6 +4655,7 @@
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = Juris;
         module.exports.deepEquals = deepEquals;
+        module.exports.diff = Juris.diff;
     }
 
 })();
\ No newline at end of file
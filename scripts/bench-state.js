@@ -0,0 +1,75 @@
+// bench-state.js
+// Measures setState notification cost as the number of subscriptions grows.
+// "linear" replays the previous registry scan (every subscription path checked on every write),
+// "trie" is the StateManager in juris/juris.js.
+//
+//   node scripts/bench-state.js [subscriptionCounts] [writes]
+//   node scripts/bench-state.js 1000,10000,50000 500
+const Juris = require('../juris/juris.js');
+
+const counts = (process.argv[2] || '1000,10000,20000').split(',').map(Number);
+const writes = Number(process.argv[3]) || 1000;
+
+// Subscriptions spread over a dashboard-like tree: widgets.<w>.series.<s>.value
+const subscriptionPaths = (count) => {
+	const paths = [];
+	for (let i = 0; i < count; i++) {
+		paths.push(`widgets.w${i % 500}.series.s${Math.floor(i / 500)}.value`);
+	}
+	return paths;
+};
+
+// The pre-trie lookup: collect every subscribed path and prefix-scan it
+const linearNotify = (internal, external, path) => {
+	let matched = 0;
+	const prefix = path + '.';
+	const allPaths = new Set([...internal.keys(), ...external.keys()]);
+	allPaths.forEach(subscriberPath => {
+		if (subscriberPath.startsWith(prefix) && subscriberPath !== path && internal.has(subscriberPath)) matched++;
+	});
+	external.forEach((subscriptions, subscribedPath) => {
+		if (path === subscribedPath || path.startsWith(subscribedPath + '.')) matched += subscriptions.size;
+	});
+	return matched;
+};
+
+const time = (fn) => {
+	const start = process.hrtime.bigint();
+	fn();
+	return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
+const run = (count) => {
+	const paths = subscriptionPaths(count);
+	const targets = Array.from({ length: writes }, (_, i) => `widgets.w${i % 500}.series.s0.value`);
+
+	const internal = new Map();
+	const external = new Map();
+	paths.forEach(path => {
+		internal.set(path, new Set([() => { }]));
+		external.set(path, new Set([{ callback: () => { }, hierarchical: true }]));
+	});
+	const linearMs = time(() => targets.forEach(path => linearNotify(internal, external, path)));
+
+	const juris = new Juris({ states: { widgets: {} } });
+	const stateManager = juris.stateManager;
+	paths.forEach(path => {
+		stateManager.subscribeInternal(path, () => { });
+		stateManager.subscribe(path, () => { });
+	});
+	const trieMs = time(() => targets.forEach((path, i) => stateManager.setState(path, i)));
+
+	return { count, linearMs, trieMs };
+};
+
+console.log(`setState notification lookup, ${writes} writes\n`);
+console.log('subscriptions'.padEnd(16) + 'linear (ms)'.padEnd(16) + 'trie (ms)'.padEnd(16) + 'speedup');
+counts.forEach(count => {
+	const { linearMs, trieMs } = run(count);
+	console.log(
+		String(count).padEnd(16) +
+		linearMs.toFixed(1).padEnd(16) +
+		trieMs.toFixed(1).padEnd(16) +
+		`${(linearMs / trieMs).toFixed(1)}x`
+	);
+});
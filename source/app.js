@@ -41,6 +41,31 @@
 				user: { name: 'Guest', isLoggedIn: false },
 				...initialState
 			},
+			schemas: {
+				counter: { type: 'integer' },
+				todos: {
+					type: 'array',
+					items: {
+						type: 'object',
+						required: ['id', 'text', 'done'],
+						properties: {
+							id: { type: 'number' },
+							text: { type: 'string', min: 1 },
+							done: { type: 'boolean' }
+						}
+					}
+				},
+				user: {
+					type: 'object',
+					properties: {
+						name: { type: 'string' },
+						isLoggedIn: { type: 'boolean' }
+					}
+				}
+			},
+			computed: {
+				'todos.remaining': (getState) => getState('todos', []).filter(todo => !todo.done).length
+			},
 			headlessComponents: {
 				StringRenderer: {
 					fn: StringRendererComponent,
@@ -50,10 +75,24 @@
 					fn: SwapAttributeComponent,
 					options: { autoInit: false }
 				},
+				Head: {
+					fn: HeadComponent,
+					options: { autoInit: true }
+				},
+				DevtoolsOverlay: {
+					fn: DevtoolsOverlay,
+					options: {
+						autoInit: true,
+						// Development only: the panel is available on local hosts
+						enabled: typeof window !== 'undefined' && ['localhost', '127.0.0.1'].includes(window.location?.hostname)
+					}
+				},
 				Router: {
 					fn: SimpleRouter,
 					options: {
 						preserveOnRoute: ['user'],
+						// Paths outside these patterns render the 404 page with status 404
+						routes: ['/', '/about', '/todos', '/user/:id'],
 						autoInit: true
 					}
 				},
@@ -91,8 +130,8 @@
 		const clientApp = createApp(window.__hydration_data);
 		window.__juris = clientApp; // Store app instance globally
 		console.log('Client app created with initial state:', window.__juris.stateManager.state.api);
-		// Render immediately
-		clientApp.render('#app');
+		// Hydrate the server-rendered markup in place
+		clientApp.hydrate('#app');
 
 		// Clean up hydration data
 		delete window.__hydration_data;
@@ -1,4 +1,5 @@
-const HomePage = async (props, { getState, setState, api, juris }) => {
+const HomePage = async (props, { getState, setState, api, juris, headless }) => {
+	headless.Head.title('Home - Juris App');
 	const { users, userByEmail } = api.endpoints();
 	const { data, loading, error } = users;
 	//if (!data && !loading) 
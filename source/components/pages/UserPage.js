@@ -1,29 +1,42 @@
 const UserPage = (props, { getState, setState, headless }) => {
-	const params = headless.Router.getParams('/user/:id');
 	return {
 		div: {
 			style: { padding: '20px' },
-			children: () => [{
-				h1: { text: `User Profile #${params.id}` }
-			}, {
-				div: {
-					children: () => [{
-						p: { text: () => `Name: ${getState('user.name', 'Guest')}` }
-					}, {
-						p: { text: () => `Status: ${getState('user.isLoggedIn', false) ? 'Logged In' : 'Guest'}` }
-					}, {
-						button: {
-							text: () => getState('user.isLoggedIn', false) ? 'Logout' : 'Login',
-							onclick: () => {
-								const isLoggedIn = getState('user.isLoggedIn', false);
-								setState('user.isLoggedIn', !isLoggedIn);
-								setState('user.name', !isLoggedIn ? `User ${params.id}` : 'Guest');
-							},
-							style: { padding: '8px 16px' }
-						}
-					}]
-				}
-			}]
+			children: () => {
+				// Read params here so the page re-renders, and re-contributes its head, on navigation
+				const params = headless.Router.getParams('/user/:id');
+				if (params.id === undefined) return []; // Navigating away; the Router unmounts this page next
+				headless.Head.set({
+					title: `User Profile #${params.id} - Juris App`,
+					meta: [
+						{ name: 'description', content: `Profile page for user #${params.id}` },
+						{ property: 'og:title', content: `User Profile #${params.id}` },
+						{ property: 'og:type', content: 'profile' }
+					]
+				});
+
+				return [{
+					h1: { text: `User Profile #${params.id}` }
+				}, {
+					div: {
+						children: () => [{
+							p: { text: () => `Name: ${getState('user.name', 'Guest')}` }
+						}, {
+							p: { text: () => `Status: ${getState('user.isLoggedIn', false) ? 'Logged In' : 'Guest'}` }
+						}, {
+							button: {
+								text: () => getState('user.isLoggedIn', false) ? 'Logout' : 'Login',
+								onclick: () => {
+									const isLoggedIn = getState('user.isLoggedIn', false);
+									setState('user.isLoggedIn', !isLoggedIn);
+									setState('user.name', !isLoggedIn ? `User ${params.id}` : 'Guest');
+								},
+								style: { padding: '8px 16px' }
+							}
+						}]
+					}
+				}];
+			}
 		}
 	};
 }
\ No newline at end of file
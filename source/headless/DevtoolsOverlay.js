@@ -0,0 +1,203 @@
+// DevtoolsOverlay Headless Component
+// In-page panel fed by window.__JURIS_DEVTOOLS_HOOK__: state tree, change log, mounted
+// components and runtime stats. Toggle with Ctrl+Shift+J or headless.DevtoolsOverlay.toggle().
+// Built with plain DOM on purpose: the panel must not subscribe to the state it inspects.
+const DevtoolsOverlay = (props, context) => {
+	const { juris } = context;
+
+	const isBrowser = typeof document !== 'undefined' && !!document.head;
+	const hook = isBrowser ? window.__JURIS_DEVTOOLS_HOOK__ : null;
+	const enabled = props.enabled === true && !!hook && !!juris?.devtools;
+	const appId = juris?.devtools?.appId;
+	const maxChanges = props.maxChanges || 200;
+
+	const changes = [];
+	const renders = [];
+	let panel = null;
+	let body = null;
+	let visible = false;
+	let tab = 'state';
+	let updateScheduled = false;
+	let unsubscribe = null;
+
+	const el = (tag, attrs = {}, children = []) => {
+		const element = document.createElement(tag);
+		Object.entries(attrs).forEach(([name, value]) => {
+			if (name === 'style') element.style.cssText = value;
+			else if (name === 'text') element.textContent = value;
+			else if (name.startsWith('on')) element.addEventListener(name.slice(2), value);
+			else element.setAttribute(name, value);
+		});
+		children.forEach(child => child && element.appendChild(child));
+		return element;
+	};
+
+	const preview = (value) => {
+		if (value === undefined) return 'undefined';
+		try {
+			const text = JSON.stringify(value);
+			return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+		} catch (error) {
+			return String(value);
+		}
+	};
+
+	const describeSource = (changeContext = {}) => {
+		if (changeContext.history) return changeContext.history;
+		if (changeContext.remote) return 'remote tab';
+		if (changeContext.persist) return 'storage';
+		return 'app';
+	};
+
+	const renderTree = (value, key, depth = 0) => {
+		if (value === null || typeof value !== 'object') {
+			return el('div', { style: 'padding-left:12px' }, [
+				el('span', { text: `${key}: `, style: 'color:#9cdcfe' }),
+				el('span', { text: preview(value) })
+			]);
+		}
+		const entries = Object.entries(value);
+		const details = el('details', depth < 1 ? { open: '' } : {}, [
+			el('summary', { text: `${key} ${Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`}`, style: 'cursor:pointer;color:#9cdcfe' })
+		]);
+		details.style.paddingLeft = depth === 0 ? '0' : '12px';
+		// Children are built when expanded, so large states stay cheap to show
+		const fill = () => {
+			if (details.childElementCount > 1) return;
+			entries.forEach(([childKey, childValue]) => details.appendChild(renderTree(childValue, childKey, depth + 1)));
+		};
+		if (depth < 1) fill();
+		details.addEventListener('toggle', fill);
+		return details;
+	};
+
+	const views = {
+		state: () => renderTree(juris.stateManager.state, 'state'),
+
+		changes: () => el('div', {}, changes.slice().reverse().map(change => el('div', { style: 'border-bottom:1px solid #333;padding:2px 0' }, [
+			el('span', { text: new Date(change.timestamp).toLocaleTimeString() + ' ', style: 'color:#888' }),
+			el('span', { text: change.path, style: 'color:#9cdcfe' }),
+			el('span', { text: ` ${preview(change.oldValue)} → ${preview(change.newValue)} ` }),
+			el('span', { text: `(${describeSource(change.context)})`, style: 'color:#888' })
+		]))),
+
+		components: () => {
+			const counts = new Map();
+			juris.componentManager.mounted.forEach(({ name }) => counts.set(name, (counts.get(name) || 0) + 1));
+			return el('div', {}, Array.from(counts, ([name, count]) => el('div', { text: `${name} × ${count}` })));
+		},
+
+		stats: () => {
+			const snapshot = hook.inspect(appId);
+			const lastRender = renders[renders.length - 1];
+			const rows = [
+				['Subscriptions', `${snapshot.subscriptions.internal} internal, ${snapshot.subscriptions.external} external, ${snapshot.subscriptions.patterns} pattern on ${snapshot.subscriptions.paths} paths`],
+				['Last render', lastRender ? `${lastRender.mode} in ${lastRender.duration.toFixed(1)}ms` : 'none'],
+				['Headless', snapshot.headless.initialized.join(', ')],
+				['Queued', snapshot.headless.queued.join(', ') || 'none']
+			];
+			return el('div', {}, rows.map(([label, value]) => el('div', {}, [
+				el('span', { text: `${label}: `, style: 'color:#888' }),
+				el('span', { text: value })
+			])));
+		}
+	};
+
+	const update = () => {
+		updateScheduled = false;
+		if (!visible || !body) return;
+		body.replaceChildren(views[tab]());
+	};
+
+	const scheduleUpdate = () => {
+		if (!visible || updateScheduled) return;
+		updateScheduled = true;
+		setTimeout(update, 100);
+	};
+
+	const createPanel = () => {
+		const tabs = el('div', { style: 'display:flex;gap:4px;margin-bottom:6px' }, Object.keys(views).map(name => el('button', {
+			text: name,
+			onclick: () => {
+				tab = name;
+				update();
+			},
+			style: 'background:#333;color:#eee;border:0;padding:2px 8px;cursor:pointer'
+		})));
+		body = el('div', { style: 'overflow:auto;flex:1' });
+		panel = el('div', {
+			'data-juris-devtools': '',
+			style: 'position:fixed;right:8px;bottom:8px;width:420px;height:320px;z-index:2147483647;display:flex;flex-direction:column;' +
+				'background:#1e1e1e;color:#eee;font:12px monospace;padding:8px;border-radius:4px;box-shadow:0 2px 12px rgba(0,0,0,.4)'
+		}, [tabs, body]);
+		document.body.appendChild(panel);
+	};
+
+	const onKeydown = (event) => {
+		if (event.ctrlKey && event.shiftKey && (event.key === 'J' || event.key === 'j')) {
+			event.preventDefault();
+			api.toggle();
+		}
+	};
+
+	const api = {
+		show() {
+			if (!enabled) return;
+			if (!panel) createPanel();
+			panel.style.display = 'flex';
+			visible = true;
+			update();
+		},
+
+		hide() {
+			if (panel) panel.style.display = 'none';
+			visible = false;
+		},
+
+		toggle() {
+			visible ? this.hide() : this.show();
+		},
+
+		isVisible() {
+			return visible;
+		},
+
+		getChanges() {
+			return changes.slice();
+		},
+
+		clear() {
+			changes.length = 0;
+			scheduleUpdate();
+		}
+	};
+
+	return {
+		api,
+		hooks: {
+			onRegister() {
+				if (!enabled) return;
+				unsubscribe = hook.on('*', (payload, event) => {
+					if (payload.appId !== appId) return;
+					if (event === 'state:change') {
+						changes.push(payload);
+						if (changes.length > maxChanges) changes.shift();
+					} else if (event === 'render') {
+						renders.push(payload);
+						if (renders.length > 20) renders.shift();
+					}
+					scheduleUpdate();
+				});
+				document.addEventListener('keydown', onKeydown);
+				if (props.open) api.show();
+			},
+			onUnregister() {
+				unsubscribe?.();
+				if (isBrowser) document.removeEventListener('keydown', onKeydown);
+				panel?.remove();
+				panel = null;
+				visible = false;
+			}
+		}
+	};
+};
@@ -0,0 +1,173 @@
+// HeadComponent Headless Component
+// Components contribute title, meta, link and JSON-LD entries while rendering.
+// Entries are de-duplicated by key: the last contribution for a key wins.
+// On the server the entries are rendered into the document head; on the client
+// they are applied to document.head and pruned when the route changes.
+const HeadComponent = (props, context) => {
+	const { getState, subscribe } = context;
+
+	// The server installs a stub document for SSR, so check for a real head element
+	const isBrowser = typeof document !== 'undefined' && !!document.head;
+	const entries = new Map();
+	let applyScheduled = false;
+
+	const escapeHtml = (value) => String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+
+	const escapeAttribute = (value) => escapeHtml(value).replace(/"/g, '&quot;');
+
+	const metaKey = (attrs) => attrs.name || attrs.property || attrs['http-equiv'] || attrs.itemprop || (attrs.charset && 'charset');
+
+	const linkKey = (attrs) => attrs.rel === 'canonical'
+		? 'canonical'
+		: `${attrs.rel}:${attrs.hreflang || attrs.media || attrs.href}`;
+
+	const currentRoute = () => getState('route.current', null);
+
+	const add = (id, entry) => {
+		entries.set(id, { ...entry, id, route: currentRoute() });
+		scheduleApply();
+	};
+
+	const renderEntry = (entry) => {
+		if (entry.tag === 'title') {
+			return `<title>${escapeHtml(entry.content)}</title>`;
+		}
+
+		const attrs = Object.entries(entry.attrs || {})
+			.filter(([, value]) => value !== undefined && value !== null && value !== false)
+			.map(([name, value]) => value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)
+			.join('');
+		const marker = ` data-juris-head="${escapeAttribute(entry.id)}"`;
+
+		if (entry.tag === 'script') {
+			// JSON-LD is not HTML-escaped, so guard against closing the script early
+			const json = JSON.stringify(entry.content).replace(/<\//g, '<\\/');
+			return `<script${attrs}${marker}>${json}</script>`;
+		}
+
+		return `<${entry.tag}${attrs}${marker}>`;
+	};
+
+	const scheduleApply = () => {
+		if (!isBrowser || applyScheduled) return;
+		applyScheduled = true;
+		Promise.resolve().then(() => api.apply());
+	};
+
+	const api = {
+		title(text) {
+			if (text === undefined || text === null) return;
+			add('title', { tag: 'title', content: String(text) });
+		},
+
+		meta(attrs, key = metaKey(attrs)) {
+			if (!key) {
+				console.warn('Head.meta requires a name, property, http-equiv or explicit key');
+				return;
+			}
+			add(`meta:${key}`, { tag: 'meta', attrs });
+		},
+
+		link(attrs, key = linkKey(attrs)) {
+			add(`link:${key}`, { tag: 'link', attrs });
+		},
+
+		canonical(href) {
+			this.link({ rel: 'canonical', href });
+		},
+
+		jsonLd(data, key = 'default') {
+			add(`jsonld:${key}`, { tag: 'script', attrs: { type: 'application/ld+json' }, content: data });
+		},
+
+		// Contribute several entries at once: { title, meta: [], link: [], canonical, jsonLd }
+		set(head = {}) {
+			if (head.title !== undefined) this.title(head.title);
+			(head.meta || []).forEach(attrs => this.meta(attrs));
+			(head.link || []).forEach(attrs => this.link(attrs));
+			if (head.canonical) this.canonical(head.canonical);
+			if (head.jsonLd) this.jsonLd(head.jsonLd);
+		},
+
+		getTitle() {
+			return entries.get('title')?.content ?? null;
+		},
+
+		getEntries() {
+			return Array.from(entries.values());
+		},
+
+		has(id) {
+			return entries.has(id);
+		},
+
+		clear() {
+			entries.clear();
+		},
+
+		renderToString({ title = true } = {}) {
+			return this.getEntries()
+				.filter(entry => title || entry.tag !== 'title')
+				.map(renderEntry)
+				.join('\n    ');
+		},
+
+		// Sync document.head with the entries contributed for the current route
+		apply() {
+			applyScheduled = false;
+			if (!isBrowser) return;
+
+			const route = currentRoute();
+			for (const [id, entry] of entries) {
+				if (entry.route !== route) entries.delete(id);
+			}
+
+			const managed = new Map();
+			document.head.querySelectorAll('[data-juris-head]').forEach(element => {
+				managed.set(element.getAttribute('data-juris-head'), element);
+			});
+
+			for (const entry of entries.values()) {
+				if (entry.tag === 'title') {
+					if (document.title !== entry.content) document.title = entry.content;
+					continue;
+				}
+
+				const html = renderEntry(entry);
+				const existing = managed.get(entry.id);
+				managed.delete(entry.id);
+				if (existing && existing.outerHTML === html) continue;
+
+				const template = document.createElement('template');
+				template.innerHTML = html;
+				const element = template.content.firstChild;
+				if (existing) {
+					existing.replaceWith(element);
+				} else {
+					document.head.appendChild(element);
+				}
+			}
+
+			// Entries from the previous page that this page didn't contribute
+			managed.forEach(element => element.remove());
+		}
+	};
+
+	return {
+		api,
+		hooks: {
+			onRegister() {
+				if (isBrowser && subscribe) {
+					// Prune the previous page's entries even if the next page contributes none
+					subscribe('route', scheduleApply);
+				}
+			},
+			onReset() {
+				entries.clear();
+			}
+		}
+	};
+};
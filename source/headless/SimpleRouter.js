@@ -2,6 +2,15 @@
 const SimpleRouter = (props, context) => {
 	const { setState, getState, juris } = context;
 
+	// Malformed escapes are kept as written
+	const decode = (value) => {
+		try {
+			return decodeURIComponent(value);
+		} catch (error) {
+			return value;
+		}
+	};
+
 	const parseRoute = (route) => {
 		if (!route || typeof route !== 'string') {
 			return { path: '/', params: {}, query: {} };
@@ -17,7 +26,7 @@ const SimpleRouter = (props, context) => {
 			queryString.split('&').forEach(pair => {
 				const [key, value] = pair.split('=');
 				if (key) {
-					query[decodeURIComponent(key)] = decodeURIComponent(value || '');
+					query[decode(key)] = decode(value || '');
 				}
 			});
 		}
@@ -40,7 +49,12 @@ const SimpleRouter = (props, context) => {
 			const current = currentSegments[i];
 
 			if (pattern.startsWith(':')) {
-				params[pattern.slice(1)] = current;
+				// Same as the server's route match: a param that can't be decoded matches nothing
+				try {
+					params[pattern.slice(1)] = decodeURIComponent(current);
+				} catch (error) {
+					return null;
+				}
 			} else if (pattern !== current) {
 				return null;
 			}
@@ -49,6 +63,84 @@ const SimpleRouter = (props, context) => {
 		return params;
 	};
 
+	// Latest navigation wins when loader responses arrive out of order
+	let loadToken = 0;
+
+	const hasRouteData = (route) => {
+		const loaders = getState('_juris.loaders', null);
+		if (!loaders || typeof fetch === 'undefined') {
+			return false;
+		}
+
+		const { path } = parseRoute(route);
+		return loaders.patterns.some(pattern => matchRoute(path, pattern) !== null);
+	};
+
+	// Re-run the server-side page loader for loader routes on client navigation
+	const loadRouteData = async (route, token = ++loadToken) => {
+		if (!hasRouteData(route)) {
+			return null;
+		}
+
+		const loaders = getState('_juris.loaders');
+		setState('route.loading', true);
+
+		try {
+			const response = await fetch(`${loaders.endpoint}?path=${encodeURIComponent(route)}`, {
+				headers: { 'Accept': 'application/json' }
+			});
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+			}
+
+			const { data } = await response.json();
+			if (token !== loadToken) {
+				return null;
+			}
+
+			if (data && typeof data === 'object') {
+				Object.entries(data).forEach(([statePath, value]) => setState(statePath, value));
+			}
+			return data;
+		} catch (error) {
+			console.warn(`Route data for ${route} failed to load:`, error.message);
+			return null;
+		} finally {
+			if (token === loadToken) {
+				setState('route.loading', false);
+			}
+		}
+	};
+
+	// Commit a route once its loader data is in state, so the page renders with it as it does
+	// on the server. A failed load still commits; a newer navigation supersedes a pending one.
+	const goTo = (route, commit) => {
+		const token = ++loadToken;
+		if (!hasRouteData(route)) {
+			// A superseded load no longer clears the flag itself
+			if (getState('route.loading', false)) {
+				setState('route.loading', false);
+			}
+			commit();
+			return api.getRoute();
+		}
+
+		return loadRouteData(route, token).then(() => {
+			if (token === loadToken) {
+				commit();
+			}
+			return api.getRoute();
+		});
+	};
+
+	// With props.routes, paths matching none of the patterns get status 404
+	const routeStatus = (path) => {
+		if (!Array.isArray(props.routes)) {
+			return 200;
+		}
+		return props.routes.some(pattern => matchRoute(path, pattern) !== null) ? 200 : 404;
+	};
+
 	const api = {
 		setRoute(route) {
 			const parsed = parseRoute(route);
@@ -59,7 +151,8 @@ const SimpleRouter = (props, context) => {
 				current: route,
 				path: parsed.path,
 				params: parsed.params,
-				query: parsed.query
+				query: parsed.query,
+				status: routeStatus(parsed.path)
 			});
 
 			return getState('route');
@@ -69,24 +162,29 @@ const SimpleRouter = (props, context) => {
 			return getState('route', {});
 		},
 
-		navigate(route) {
-			this.setRoute(route);
+		getStatus() {
+			return this.getRoute().status || 200;
+		},
 
-			if (typeof window !== 'undefined' && window.history) {
-				window.history.pushState({}, '', route);
-			}
+		// Returns the route, or a promise of it while a loader route fetches its data
+		navigate(route) {
+			return goTo(route, () => {
+				this.setRoute(route);
 
-			return this.getRoute();
+				if (typeof window !== 'undefined' && window.history) {
+					window.history.pushState({}, '', route);
+				}
+			});
 		},
 
 		replace(route) {
-			this.setRoute(route);
+			return goTo(route, () => {
+				this.setRoute(route);
 
-			if (typeof window !== 'undefined' && window.history) {
-				window.history.replaceState({}, '', route);
-			}
-
-			return this.getRoute();
+				if (typeof window !== 'undefined' && window.history) {
+					window.history.replaceState({}, '', route);
+				}
+			});
 		},
 
 		buildUrl(pattern, params = {}, query = {}) {
@@ -115,6 +213,10 @@ const SimpleRouter = (props, context) => {
 		getParams(pattern) {
 			const route = this.getRoute();
 			return matchRoute(route.path, pattern) || {};
+		},
+
+		loadRouteData(route = this.getRoute().current) {
+			return loadRouteData(route);
 		}
 	};
 
@@ -125,7 +227,7 @@ const SimpleRouter = (props, context) => {
 				if (typeof window !== 'undefined') {
 					window.addEventListener('popstate', () => {
 						const currentRoute = window.location.pathname + window.location.search;
-						api.setRoute(currentRoute);
+						goTo(currentRoute, () => api.setRoute(currentRoute));
 					});
 
 					const initialRoute = window.location.pathname + window.location.search;
@@ -18,6 +18,17 @@ const StringRendererComponent = (props, context) => {
 			this.asyncTimeout = 5000;
 			this.asyncPlaceholder = '<!-- Loading... -->';
 
+			// Streaming: async subtrees found while rendering the shell become boundaries
+			this.streamBoundaries = null;
+			this.streamBoundaryCounter = 0;
+			// Promises of Suspense and streamed boundaries that timed out and may still be rendering
+			this.lateBoundaries = [];
+			// > 0 while rendering Suspense content: its async subtrees resolve with the boundary, not as their own chunks
+			this.suspenseDepth = 0;
+
+			// Hydration: wrap component output in <!--juris:Name--> markers for DOMRenderer.hydrate
+			this.hydrationMarkers = false;
+
 			// Boolean attributes that should be rendered without values when true
 			this.booleanAttributes = new Set([
 				'autofocus', 'autoplay', 'async', 'checked', 'controls', 'defer',
@@ -54,6 +65,10 @@ const StringRendererComponent = (props, context) => {
 				// If result is a promise, wait for it
 				if (result && typeof result.then === 'function') {
 					//console.log('StringRenderer: Promise detected, waiting for completion');
+					// While streaming, nested async subtrees are deferred instead of blocking the shell
+					if (this.streamBoundaries && this.renderDepth > 0 && this.suspenseDepth === 0) {
+						return this._createStreamBoundary(result);
+					}
 					return result;
 				}
 
@@ -67,6 +82,7 @@ const StringRendererComponent = (props, context) => {
 			} catch (error) {
 				this.renderDepth--;
 				console.error('StringRenderer: Render error:', error);
+				this._captureError(error, context, { phase: 'render' });
 				return `<!-- Render error: ${error.message} -->`;
 			}
 		}
@@ -87,6 +103,7 @@ const StringRendererComponent = (props, context) => {
 			} catch (error) {
 				this.renderDepth--;
 				console.error('StringRenderer: Async render error:', error);
+				this._captureError(error, context, { phase: 'async' });
 				return `<!-- Async render error: ${error.message} -->`;
 			}
 		}
@@ -168,6 +185,12 @@ const StringRendererComponent = (props, context) => {
 		_renderComponent(tagName, props, parentContext) {
 			try {
 				const componentFn = this.juris.componentManager.components.get(tagName);
+				if (componentFn.boundary === 'error') {
+					return this._wrapHydrationMarkers(tagName, this._renderErrorBoundary(componentFn, tagName, props, parentContext));
+				}
+				if (componentFn.boundary === 'suspense') {
+					return this._wrapHydrationMarkers(tagName, this._renderSuspense(componentFn, tagName, props, parentContext));
+				}
 
 				let componentContext = parentContext;
 				if (!componentContext) {
@@ -181,18 +204,131 @@ const StringRendererComponent = (props, context) => {
 				if (componentResult && typeof componentResult.then === 'function') {
 					//console.log(`StringRenderer: Component ${tagName} returned promise, returning for waiting`);
 					return componentResult.then(resolvedResult => {
-						return this._processComponentResult(resolvedResult, tagName, componentContext);
+						return this._wrapHydrationMarkers(tagName, this._processComponentResult(resolvedResult, tagName, componentContext));
 					});
 				}
 
-				return this._processComponentResult(componentResult, tagName, componentContext);
+				return this._wrapHydrationMarkers(tagName, this._processComponentResult(componentResult, tagName, componentContext));
 
 			} catch (error) {
 				console.error(`StringRenderer: Error rendering component ${tagName}:`, error);
+				this._captureError(error, parentContext, { component: tagName, phase: 'render' });
 				return `<!-- Component ${tagName} error: ${error.message} -->`;
 			}
 		}
 
+		// ErrorBoundary: children render with a context that carries the boundary, so the catch sites
+		// below can flag it; a flagged boundary is re-rendered with its fallback, as DOMRenderer does
+		_renderErrorBoundary(componentFn, tagName, props, parentContext, async = false) {
+			const boundary = { error: null, onError: props.onError };
+			const baseContext = parentContext || this.juris.createContext();
+			const context = Object.create(baseContext, { errorBoundary: { value: boundary } });
+			const wrapper = (children, failed = false) => ({
+				div: { 'data-juris-boundary': failed ? 'error' : '', ...(props.className ? { className: props.className } : {}), children }
+			});
+			const render = (vnode, renderContext) => async ? this.renderAsync(vnode, renderContext) : this.render(vnode, renderContext);
+
+			const finish = html => {
+				if (!boundary.error) return html;
+				try {
+					// retry() only has meaning once the page is live
+					const fallback = typeof props.fallback === 'function' ? props.fallback({ error: boundary.error, retry: () => { } }) : props.fallback;
+					return render(wrapper(fallback ?? componentFn.defaultFallback(boundary.error), true), parentContext);
+				} catch (fallbackError) {
+					console.error(`StringRenderer: Error rendering ${tagName} fallback:`, fallbackError);
+					this._captureError(fallbackError, parentContext, { component: tagName, phase: 'fallback' });
+					return `<!-- Component ${tagName} fallback error: ${fallbackError.message} -->`;
+				}
+			};
+
+			const html = render(wrapper(props.children), context);
+			if (html && typeof html.then === 'function') {
+				return html.then(finish, error => {
+					this._captureError(error, context, { component: tagName, phase: 'async' });
+					return finish('');
+				});
+			}
+			return finish(html);
+		}
+
+		// Suspense: the same markup DOMRenderer produces. Async content is awaited as a whole; while streaming,
+		// the fallback goes out in the shell and the resolved boundary follows as one chunk
+		_renderSuspense(componentFn, tagName, props, parentContext, async = false) {
+			const className = props.className ? this._renderAttribute('className', props.className) : '';
+			const resolved = html => `<div${className} data-juris-suspense="">${html}</div>`;
+			const content = { div: { 'data-juris-suspense-content': '', children: props.children } };
+			const pendingHtml = (slot = '') => {
+				const fallback = typeof props.fallback === 'function' ? props.fallback() : props.fallback;
+				let fallbackHtml = this.render(fallback ?? componentFn.defaultFallback(), parentContext);
+				if (fallbackHtml && typeof fallbackHtml.then === 'function') {
+					fallbackHtml.catch(() => { });
+					fallbackHtml = '';
+				}
+				return `<div${className} data-juris-suspense="pending"${slot}><div data-juris-suspense-fallback="">${fallbackHtml}</div></div>`;
+			};
+
+			if (async) {
+				return this._withSuspenseTimeout(this.renderAsync(content, parentContext).then(resolved), props.timeout, pendingHtml);
+			}
+
+			let html;
+			this.suspenseDepth++;
+			try {
+				html = this.render(content, parentContext);
+			} finally {
+				this.suspenseDepth--;
+			}
+
+			if (!html || typeof html.then !== 'function') {
+				return resolved(html);
+			}
+			if (this.streamBoundaries) {
+				return this._createStreamBoundary(html.then(resolved), id => pendingHtml(` data-juris-slot="${id}"`), props.timeout);
+			}
+			return this._withSuspenseTimeout(html.then(resolved), props.timeout, pendingHtml);
+		}
+
+		// Without streaming a timed out boundary ships its fallback; the client renders the content itself.
+		// The content keeps rendering against this instance, so it is recorded for whenSettled
+		_withSuspenseTimeout(promise, timeout, pendingHtml) {
+			if (!(timeout > 0)) {
+				return promise;
+			}
+			let timer;
+			const timeoutPromise = new Promise(resolve => {
+				timer = setTimeout(() => {
+					console.warn(`StringRenderer: Suspense timed out after ${timeout}ms, rendering fallback`);
+					this.lateBoundaries.push(promise);
+					resolve(pendingHtml());
+				}, timeout);
+			});
+			return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+		}
+
+		// Flag the enclosing ErrorBoundary (first error wins) and report to the app's onError handlers
+		_captureError(error, context, info = {}) {
+			const boundary = context?.errorBoundary;
+			this.juris?._reportError?.(error, { ...info, handled: !!boundary });
+			if (boundary && !boundary.error) {
+				boundary.error = error;
+				if (boundary.onError) {
+					try { boundary.onError(error, info); } catch (hookError) { console.error('StringRenderer: ErrorBoundary onError error:', hookError); }
+				}
+			}
+		}
+
+		_wrapHydrationMarkers(tagName, html) {
+			if (!this.hydrationMarkers) {
+				return html;
+			}
+
+			if (html && typeof html.then === 'function') {
+				return html.then(resolvedHtml => this._wrapHydrationMarkers(tagName, resolvedHtml));
+			}
+
+			return `<!--juris:${tagName}-->${html}<!--/juris:${tagName}-->`;
+		}
+
 		// Helper to process component result (sync or from resolved promise)
 		_processComponentResult(componentResult, tagName, componentContext) {
 			if (!componentResult) {
@@ -214,6 +350,7 @@ const StringRendererComponent = (props, context) => {
 					return this.render(renderResult, componentContext);
 				} catch (renderError) {
 					console.error(`StringRenderer: Error in component ${tagName} render method:`, renderError);
+					this._captureError(renderError, componentContext, { component: tagName, phase: 'render' });
 					return `<!-- Component ${tagName} render error: ${renderError.message} -->`;
 				}
 			}
@@ -239,8 +376,18 @@ const StringRendererComponent = (props, context) => {
 
 		// NEW: Async component rendering
 		async _renderComponentAsync(tagName, props, parentContext) {
+			return this._wrapHydrationMarkers(tagName, await this._renderComponentAsyncContent(tagName, props, parentContext));
+		}
+
+		async _renderComponentAsyncContent(tagName, props, parentContext) {
 			try {
 				const componentFn = this.juris.componentManager.components.get(tagName);
+				if (componentFn.boundary === 'error') {
+					return await this._renderErrorBoundary(componentFn, tagName, props, parentContext, true);
+				}
+				if (componentFn.boundary === 'suspense') {
+					return await this._renderSuspense(componentFn, tagName, props, parentContext, true);
+				}
 
 				let componentContext = parentContext;
 				if (!componentContext) {
@@ -261,6 +408,7 @@ const StringRendererComponent = (props, context) => {
 						return await this.renderAsync(renderResult, componentContext);
 					} catch (renderError) {
 						console.error(`StringRenderer: Error in async component ${tagName} render method:`, renderError);
+						this._captureError(renderError, componentContext, { component: tagName, phase: 'async' });
 						return `<!-- Component ${tagName} async render error: ${renderError.message} -->`;
 					}
 				}
@@ -285,6 +433,7 @@ const StringRendererComponent = (props, context) => {
 
 			} catch (error) {
 				console.error(`StringRenderer: Error rendering async component ${tagName}:`, error);
+				this._captureError(error, parentContext, { component: tagName, phase: 'async' });
 				return `<!-- Async component ${tagName} error: ${error.message} -->`;
 			}
 		}
@@ -357,6 +506,7 @@ const StringRendererComponent = (props, context) => {
 						children = this._evaluateFunction(children, context);
 					} catch (e) {
 						console.error('StringRenderer: Error evaluating children function:', e);
+						this._captureError(e, context, { phase: 'render' });
 						children = [];
 					}
 				}
@@ -445,6 +595,7 @@ const StringRendererComponent = (props, context) => {
 						children = await this._evaluateFunctionAsync(children, context);
 					} catch (e) {
 						console.error('StringRenderer: Error evaluating async children function:', e);
+						this._captureError(e, context, { phase: 'async' });
 						children = [];
 					}
 				}
@@ -570,6 +721,8 @@ const StringRendererComponent = (props, context) => {
 				return '';
 			}
 
+			// Namespaced SVG attributes: xlinkHref -> xlink:href, as DOMRenderer sets them
+			name = name.replace(/^(xlink|xml)([A-Z])/, (match, prefix, letter) => `${prefix}:${letter.toLowerCase()}`);
 			const lowerName = name.toLowerCase();
 			if (this.specialAttributeHandlers.has(lowerName)) {
 				this.specialAttributeHandlers.get(lowerName)(element, value);
@@ -728,6 +881,7 @@ const StringRendererComponent = (props, context) => {
 			} catch (error) {
 				console.warn('StringRenderer: Function evaluation error:', error);
 				console.warn('Context available:', context ? Object.keys(context) : 'No context');
+				this._captureError(error, context, { phase: 'render' });
 				return '';
 			}
 		}
@@ -744,6 +898,7 @@ const StringRendererComponent = (props, context) => {
 			} catch (error) {
 				console.warn('StringRenderer: Async function evaluation error:', error);
 				console.warn('Context available:', context ? Object.keys(context) : 'No context');
+				this._captureError(error, context, { phase: 'async' });
 				return '';
 			}
 		}
@@ -893,6 +1048,7 @@ const StringRendererComponent = (props, context) => {
 			}
 
 			const { async: forceAsync = false, timeout = this.asyncTimeout } = options;
+			this.lateBoundaries = [];
 
 			try {
 				// If async is forced, use async rendering directly
@@ -926,6 +1082,122 @@ const StringRendererComponent = (props, context) => {
 			}
 		}
 
+		// STREAMING: Yields the shell immediately, then one chunk per async subtree as it resolves.
+		// Chunks may arrive out of order; each one replaces its placeholder on the client.
+		async *renderToStream(layout, context = null, options = {}) {
+			if (!layout) {
+				yield '<p>No layout provided</p>';
+				return;
+			}
+
+			const { timeout = this.asyncTimeout } = options;
+			const boundaries = [];
+			this.lateBoundaries = [];
+
+			let shell;
+			this.streamBoundaries = boundaries;
+			try {
+				shell = this.render(layout, context);
+			} catch (error) {
+				console.error('StringRenderer renderToStream error:', error);
+				shell = `<div style="color: red;">StringRenderer Error: ${error.message}</div>`;
+			} finally {
+				this.streamBoundaries = null;
+			}
+
+			// The root itself was async - nothing to flush early
+			if (shell && typeof shell.then === 'function') {
+				shell = await shell.catch(error => {
+					console.error('StringRenderer stream shell error:', error);
+					return `<div style="color: red;">Smart Render Error: ${error.message}</div>`;
+				});
+			}
+
+			yield shell;
+
+			if (boundaries.length === 0) {
+				return;
+			}
+
+			const pending = new Map(boundaries.map(boundary => [boundary.id, this._settleStreamBoundary(boundary, timeout)]));
+			let runtimeSent = false;
+
+			while (pending.size > 0) {
+				const { id, html } = await Promise.race(pending.values());
+				pending.delete(id);
+
+				// Timed out boundaries keep their placeholder
+				if (html === null) {
+					this.lateBoundaries.push(boundaries.find(boundary => boundary.id === id).promise);
+					continue;
+				}
+
+				let chunk = '';
+				if (!runtimeSent) {
+					chunk += `<script>${this._getStreamRuntime()}</script>`;
+					runtimeSent = true;
+				}
+				chunk += `<template data-juris-chunk="${id}">${html}</template><script>__jurisStream("${id}")</script>`;
+				yield chunk;
+			}
+		}
+
+		// Resolves true once the boundaries the last render or stream gave up on have finished, false after timeout
+		whenSettled(timeout = this.asyncTimeout) {
+			const late = this.lateBoundaries;
+			if (late.length === 0) {
+				return Promise.resolve(true);
+			}
+
+			let timer;
+			const timeoutPromise = new Promise(resolve => {
+				timer = setTimeout(() => resolve(false), timeout);
+			});
+			return Promise.race([Promise.allSettled(late).then(() => true), timeoutPromise])
+				.finally(() => clearTimeout(timer));
+		}
+
+		// placeholder(id) renders what stands in for the chunk; the element carrying data-juris-slot is replaced
+		_createStreamBoundary(promise, placeholder = null, timeout = undefined) {
+			const id = `s${++this.streamBoundaryCounter}`;
+			this.streamBoundaries.push({ id, promise, timeout });
+			return placeholder ? placeholder(id) : `<template data-juris-slot="${id}"></template>`;
+		}
+
+		_settleStreamBoundary({ id, promise, timeout: boundaryTimeout }, timeout) {
+			timeout = boundaryTimeout ?? timeout;
+			let timer;
+			const timeoutPromise = new Promise(resolve => {
+				timer = setTimeout(() => {
+					console.warn(`StringRenderer: Stream boundary ${id} timed out after ${timeout}ms`);
+					resolve(null);
+				}, timeout);
+			});
+
+			const renderPromise = promise.catch(error => {
+				console.error(`StringRenderer: Stream boundary ${id} error:`, error);
+				return `<!-- Async render error: ${error.message} -->`;
+			});
+
+			return Promise.race([renderPromise, timeoutPromise])
+				.then(html => {
+					clearTimeout(timer);
+					return { id, html };
+				});
+		}
+
+		// Client-side swap for streamed chunks: moves the template content in place of its slot.
+		// A slot can sit inside a chunk that hasn't been swapped in yet (nested Suspense); those wait and retry.
+		_getStreamRuntime() {
+			return 'window.__jurisStream=function(id){' +
+				'var c=document.querySelector(\'template[data-juris-chunk="\'+id+\'"]\'),' +
+				's=document.querySelector(\'[data-juris-slot="\'+id+\'"]\'),' +
+				'p=window.__jurisStreamPending||(window.__jurisStreamPending=[]);' +
+				'if(!c)return;if(!s){if(p.indexOf(id)<0)p.push(id);return;}' +
+				's.parentNode.replaceChild(c.content,s);c.parentNode.removeChild(c);' +
+				'p.splice(0).forEach(window.__jurisStream);};';
+		}
+
 		// Interface compatibility methods
 		cleanup() {
 			this.renderDepth = 0;
@@ -965,6 +1237,7 @@ const StringRendererComponent = (props, context) => {
 
 	// Create instance of StringRenderer with juris reference
 	const stringRenderer = new StringRenderer(juris);
+	stringRenderer.hydrationMarkers = props.hydrationMarkers === true;
 
 	return {
 		api: {
@@ -979,6 +1252,9 @@ const StringRendererComponent = (props, context) => {
 			getCurrentRenderer() {
 				return juris.domRenderer === stringRenderer ? 'string' : 'dom';
 			},
+			setHydrationMarkers(enabled) {
+				stringRenderer.hydrationMarkers = enabled !== false;
+			},
 
 			// ENHANCED: Smart renderToString that auto-detects async
 			renderToString(layout, options = {}) {
@@ -1008,6 +1284,17 @@ const StringRendererComponent = (props, context) => {
 				return await result;
 			},
 
+			// STREAMING: Async iterable of HTML chunks - shell first, then async subtrees as they resolve
+			renderToStream(layout, options = {}) {
+				const layoutToRender = layout || juris.layout;
+				return stringRenderer.renderToStream(layoutToRender, null, options);
+			},
+
+			// After a render or stream: true once its timed out boundaries finished rendering, false if they didn't in time
+			whenSettled(timeout) {
+				return stringRenderer.whenSettled(timeout);
+			},
+
 			stringRenderer,
 			originalDOMRenderer
 		}
@@ -46,13 +46,14 @@ const SwapAttributeComponent = (props, ctx) => {
 
 					// Register handler for StringRenderer
 					ctx.juris.domRenderer.specialAttributeHandlers.set('swap', (attrName, config) => {
-						const swapId = `swap-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+						// Numbered per render so identical pages produce identical HTML
+						const existingScripts = ctx.getState('_juris.swapScripts', []);
+						const swapId = `swap-${existingScripts.length + 1}`;
 
 						// Generate JavaScript for this swap
 						const swapScript = generateSwapScript(swapId, config);
 
 						// Store in state
-						const existingScripts = ctx.getState('_juris.swapScripts', []);
 						ctx.setState('_juris.swapScripts', [...existingScripts, swapScript]);
 
 						// Return HTML attributes for StringRenderer
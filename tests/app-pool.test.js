@@ -0,0 +1,135 @@
+const path = require('path');
+const JurisServer = require('../juris/juris-server.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const todos = count => Array.from({ length: count }, (_, i) => ({ id: i + 1, text: `todo ${i + 1}`, done: false }));
+
+// A server with a single pooled app instance, so consecutive renders share it;
+// layout, when given, replaces the app's layout on every instance
+async function createServer(hooks = {}, layout = null) {
+    const server = new JurisServer(path.join(__dirname, '../config/juris.config.js'));
+    server.config.app.pool = { enabled: true, size: 1, warm: 1 };
+    server.config.hooks = hooks;
+    server.initializeDOMGlobals();
+    await server.loadJurisApp();
+    if (layout) {
+        const createApp = server.createApp;
+        server.createApp = initialState => {
+            const app = createApp(initialState);
+            app.layout = layout;
+            return app;
+        };
+        server.appPool = [await server.createAppInstance()];
+    }
+    return server;
+}
+
+// Renders a Suspense (timeout 20ms) around a subtree that, for alice, waits for finishSlow and then writes state
+async function createSuspenseServer() {
+    let finishSlow;
+    const slow = new Promise(resolve => { finishSlow = resolve; });
+    const server = await createServer({
+        beforeRender: (app, url) => {
+            app.registerComponent('Slow', async (props, { setState }) => {
+                if (url === '/?user=alice') {
+                    await slow;
+                    setState('secret', 'alice');
+                }
+                return { span: { text: 'slow content' } };
+            });
+        }
+    }, {
+        div: {
+            children: () => [{ Suspense: { timeout: 20, fallback: { span: { text: 'waiting' } }, children: [{ Slow: {} }] } }]
+        }
+    });
+    return { server, finishSlow };
+}
+
+// Minimal reply for streamSSRResponse: send hands back the stream
+const streamReply = () => ({ code() {}, type() {}, header() {}, send: stream => stream });
+
+describe('app instance pool', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('recomputes computed paths for each request', async () => {
+        const server = await createServer({
+            beforeRender: (app, url) => {
+                if (url.includes('u=a')) app.setState('todos', todos(4));
+            }
+        });
+        const instance = server.appPool[0];
+
+        expect(await server.renderPage('/todos?u=a')).toContain('<p>4 remaining</p>');
+        const html = await server.renderPage('/todos?u=b');
+        expect(server.appPool).toEqual([instance]);
+        // One of the two configured initial todos is done
+        expect(html).toContain('<p>1 remaining</p>');
+    });
+
+    test('destroys an instance whose render failed', async () => {
+        const server = await createServer({
+            beforeRender: (app, url) => {
+                if (url === '/todos?fail') {
+                    app.setState('todos', todos(4));
+                    throw new Error('render failed');
+                }
+            }
+        });
+        const [failed] = server.appPool;
+
+        await expect(server.renderPage('/todos?fail')).rejects.toThrow('render failed');
+        expect(server.appPool.length).toBe(0);
+
+        expect(await server.renderPage('/todos')).toContain('<p>1 remaining</p>');
+        expect(server.appPool.length).toBe(1);
+        expect(server.appPool[0] === failed).toBe(false);
+    });
+
+    test('keeps an instance with a timed out Suspense subtree out of the pool until it finishes', async () => {
+        const { server, finishSlow } = await createSuspenseServer();
+        const [alice] = server.appPool;
+
+        expect(await server.renderPage('/?user=alice')).toContain('waiting');
+        expect(server.appPool.length).toBe(0);
+
+        // Renders on a fresh instance while alice's subtree is still running
+        expect(await server.renderPage('/?user=bob')).toContain('slow content');
+        const [bob] = server.appPool;
+        expect(bob === alice).toBe(false);
+
+        finishSlow();
+        await delay(10);
+        expect(alice.app.getState('secret')).toBe('alice');
+        expect(bob.app.getState('secret')).toBe(null);
+    });
+
+    test('returns a streamed instance to the pool once its timed out boundaries finish', async () => {
+        const { server, finishSlow } = await createSuspenseServer();
+        const [alice] = server.appPool;
+
+        let html = '';
+        for await (const chunk of await server.streamSSRResponse('/?user=alice', streamReply())) {
+            html += chunk;
+        }
+        expect(html).toContain('waiting');
+        expect(html).not.toContain('slow content');
+        await delay(10);
+        expect(server.appPool.length).toBe(0);
+
+        finishSlow();
+        await delay(10);
+        expect(server.appPool).toHaveLength(1);
+        expect(server.appPool[0] === alice).toBe(true);
+        expect(await server.renderPage('/?user=bob')).not.toContain('alice');
+        expect(alice.app.getState('secret')).toBe(null);
+    });
+});
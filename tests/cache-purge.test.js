@@ -0,0 +1,61 @@
+const path = require('path');
+const JurisServer = require('../juris/juris-server.js');
+
+const token = 'purge-secret';
+
+describe('cache purge endpoint', () => {
+    let server;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = new JurisServer(path.join(__dirname, '../config/juris.config.js'));
+        server.config.ssrCache.purge = { path: '/_juris/cache/purge', token };
+        server.cache.enabled = true;
+        server.fastify = require('fastify')();
+        server.setupCachePurgeEndpoint();
+
+        server.cache.set('/', '<p>home</p>', { tags: ['home'] });
+        server.cache.set('/todos', '<p>todos</p>', { tags: ['todos'] });
+    });
+
+    afterEach(async () => {
+        await server.fastify.close();
+        jest.restoreAllMocks();
+    });
+
+    const purge = (payload, headers = {}) => server.fastify.inject({
+        method: 'POST',
+        url: '/_juris/cache/purge',
+        headers: { authorization: `Bearer ${token}`, ...headers },
+        payload
+    });
+
+    test('rejects requests without the token', async () => {
+        const response = await purge({ all: true }, { authorization: 'Bearer wrong-secret!' });
+        expect(response.statusCode).toBe(401);
+        expect(server.cache.entries.size).toBe(2);
+    });
+
+    test('purges a single route or tag', async () => {
+        expect((await purge({ route: '/todos' })).json().purged).toBe(1);
+        expect([...server.cache.entries.keys()]).toEqual(['/']);
+
+        expect((await purge({ tag: 'home' })).json().purged).toBe(1);
+        expect(server.cache.entries.size).toBe(0);
+    });
+
+    test('rejects bodies without a route or tag instead of purging everything', async () => {
+        for (const payload of [undefined, {}, { rout: '/todos' }, { route: '' }, 'route=/todos']) {
+            const response = await purge(payload, typeof payload === 'string' ? { 'content-type': 'text/plain' } : {});
+            expect(response.statusCode).toBe(400);
+        }
+        expect(server.cache.entries.size).toBe(2);
+    });
+
+    test('purges everything only when asked explicitly', async () => {
+        const response = await purge({ all: true });
+        expect(response.statusCode).toBe(200);
+        expect(response.json().purged).toBe(2);
+        expect(server.cache.entries.size).toBe(0);
+    });
+});
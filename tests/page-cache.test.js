@@ -0,0 +1,70 @@
+const JurisPageCache = require('../juris/juris-page-cache.js');
+
+const request = headers => ({ method: 'GET', headers });
+
+describe('page cache', () => {
+    test('keys pages on the configured vary inputs', () => {
+        const cache = new JurisPageCache({ enabled: true, vary: { cookies: ['theme'], headers: ['X-Tenant'], locale: true } });
+        const key = cache.buildKey('/todos', request({
+            cookie: 'theme=dark; other=1',
+            'x-tenant': 'acme',
+            'accept-language': 'en-GB,en;q=0.8'
+        }));
+
+        expect(key).toBe('/todos|c:theme=dark|h:X-Tenant=acme|l:en-gb');
+        expect(cache.varyHeaders()).toEqual(['X-Tenant', 'Cookie', 'Accept-Language']);
+    });
+
+    test('keeps the raw value of a malformed cookie', () => {
+        const cache = new JurisPageCache({ enabled: true, vary: { cookies: ['theme'] } });
+        expect(cache.buildKey('/', request({ cookie: 'theme=%E0%A4%A' }))).toBe('/|c:theme=%E0%A4%A');
+    });
+
+    test('serves stale entries within staleWhileRevalidate, then drops them', () => {
+        const cache = new JurisPageCache({ enabled: true, ttl: 100, staleWhileRevalidate: 100 });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        cache.set('/', '<p>home</p>');
+
+        now.mockReturnValue(1050);
+        expect(cache.get('/')).toMatchObject({ html: '<p>home</p>', stale: false });
+        now.mockReturnValue(1150);
+        expect(cache.get('/')).toMatchObject({ stale: true });
+        now.mockReturnValue(1250);
+        expect(cache.get('/')).toBe(null);
+        now.mockRestore();
+    });
+
+    test('evicts the least recently used entry', () => {
+        const cache = new JurisPageCache({ enabled: true, maxEntries: 2 });
+        cache.set('/a', 'a');
+        cache.set('/b', 'b');
+        cache.get('/a');
+        cache.set('/c', 'c');
+
+        expect([...cache.entries.keys()]).toEqual(['/a', '/c']);
+        expect(cache.getStats().evictions).toBe(1);
+    });
+
+    test('invalidates by path, pattern or tag', () => {
+        const cache = new JurisPageCache({ enabled: true });
+        cache.set('/user/1', 'one', { pattern: '/user/:id', tags: ['user:1'] });
+        cache.set('/user/2', 'two', { pattern: '/user/:id', tags: ['user:2'] });
+        cache.set('/about', 'about');
+
+        expect(cache.invalidate({ tag: 'user:1' })).toBe(1);
+        expect(cache.invalidate({ route: '/user/:id' })).toBe(1);
+        expect(cache.invalidate({ route: '/about' })).toBe(1);
+        expect(cache.entries.size).toBe(0);
+    });
+
+    test('shares one revalidation between concurrent requests', async () => {
+        const cache = new JurisPageCache({ enabled: true });
+        const render = jest.fn(async () => '<p>fresh</p>');
+
+        const [first, second] = await Promise.all([cache.revalidate('/', render), cache.revalidate('/', render)]);
+        expect(render).toHaveBeenCalledTimes(1);
+        expect(first).toBe('<p>fresh</p>');
+        expect(second).toBe('<p>fresh</p>');
+        expect(cache.get('/').html).toBe('<p>fresh</p>');
+    });
+});
@@ -0,0 +1,40 @@
+const Juris = require('../juris/juris.js');
+
+// Storage double that records what was written
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key),
+        read: key => JSON.parse(items.get(key)).state
+    };
+};
+
+describe('persistence', () => {
+    beforeAll(() => {
+        // Juris.destroy cleans up the DOM renderer
+        global.document = global.document || { querySelectorAll: () => [], removeEventListener: () => {} };
+    });
+
+    test('writes a change still waiting on the debounce when the app is destroyed', () => {
+        const storage = createStorage();
+        const juris = new Juris({ states: { count: 0 }, persist: { paths: ['count'], storage, debounce: 10000 } });
+
+        juris.setState('count', 3);
+        expect(storage.getItem('juris-state')).toBe(null);
+
+        juris.destroy();
+        expect(storage.read('juris-state')).toEqual({ count: 3 });
+    });
+
+    test('does not write again after clear when nothing is pending', () => {
+        const storage = createStorage();
+        const juris = new Juris({ states: { count: 0 }, persist: { paths: ['count'], storage, debounce: 10000 } });
+
+        juris.setState('count', 3);
+        juris.persistence.clear();
+        juris.destroy();
+        expect(storage.getItem('juris-state')).toBe(null);
+    });
+});
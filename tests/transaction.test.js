@@ -0,0 +1,58 @@
+const Juris = require('../juris/juris.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('transaction', () => {
+    let juris, notified;
+
+    beforeEach(() => {
+        juris = new Juris({ states: { a: 0, b: 0, c: 0 } });
+        notified = [];
+        ['a', 'b', 'c'].forEach(path => juris.subscribe(path, value => notified.push(`${path}=${value}`)));
+    });
+
+    test('notifies once per path after a sync transaction', () => {
+        juris.transaction(() => {
+            juris.setState('a', 1);
+            juris.setState('a', 2);
+        });
+        expect(notified).toEqual(['a=2']);
+    });
+
+    test('leaves writes made elsewhere during an async transaction alone', async () => {
+        const pending = juris.transaction(async tx => {
+            juris.setState('a', 1);
+            await delay(10);
+            tx.setState('c', 1);
+            throw new Error('boom');
+        });
+
+        await delay(1);
+        juris.setState('b', 5);
+        expect(notified).toEqual(['b=5']);
+
+        await expect(pending).rejects.toThrow('boom');
+        expect(juris.getState('a')).toBe(0);
+        expect(juris.getState('b')).toBe(5);
+        expect(juris.getState('c')).toBe(0);
+        expect(notified).toEqual(['b=5']);
+    });
+
+    test('runs concurrent transactions independently', async () => {
+        const first = juris.transaction(async tx => {
+            await delay(10);
+            tx.setState('a', 1);
+            throw new Error('first');
+        });
+        const second = juris.transaction(async tx => {
+            await delay(1);
+            tx.setState('b', 2);
+        });
+
+        await second;
+        expect(notified).toEqual(['b=2']);
+        await expect(first).rejects.toThrow('first');
+        expect(juris.getState('a')).toBe(0);
+        expect(juris.getState('b')).toBe(2);
+    });
+});